@@ -4,6 +4,7 @@ const bedrock = require('bedrock-protocol');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const EventEmitter = require('events');
 const express = require('express');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -11,18 +12,32 @@ const path = require('path');
 const MissionManager = require('./modules/MissionManager');
 const InventoryManager = require('./modules/InventoryManager');
 const ChatManager = require('./modules/ChatManager');
+const CommandManager = require('./modules/CommandManager');
+const PlayerMemoryManager = require('./modules/PlayerMemoryManager');
 const GameplayManager = require('./modules/GameplayManager');
 const LearningManager = require('./modules/LearningManager');
 const NavigationManager = require('./modules/NavigationManager');
 const CombatManager = require('./modules/CombatManager');
 const ConfigManager = require('./modules/ConfigManager');
 const EventManager = require('./modules/EventManager');
+const ReconnectManager = require('./modules/ReconnectManager');
+const WorldStateManager = require('./modules/WorldStateManager');
+const PlayerManager = require('./modules/PlayerManager');
+const EntityManager = require('./modules/EntityManager');
+const DeathManager = require('./modules/DeathManager');
+const ChunkManager = require('./modules/ChunkManager');
+const AuthManager = require('./modules/AuthManager');
+const MetricsManager = require('./modules/MetricsManager');
+const ActionManager = require('./modules/ActionManager');
+const HealthManager = require('./modules/HealthManager');
+const WebhookManager = require('./modules/WebhookManager');
 
 // Global bot instance for API access
 let bot = null;
 
 const app = express();
-app.use(express.json());
+// Learning data imports run to a few MB - everything else stays far below this
+app.use(express.json({ limit: process.env.API_BODY_LIMIT || '10mb' }));
 const PORT = process.env.PORT || 3000;
 
 // CHAT SAFETY FIXES - Safe chat sending method
@@ -41,13 +56,22 @@ async function safeSendChat(bot, message) {
             return false;
         }
         
-        // Ensure message length is reasonable (Minecraft has limits)
+        // Ensure message length is reasonable (Minecraft has limits) - ChatManager splits
+        // long messages before they get here, so this only catches direct callers
+        if (cleanMessage.length > 256) {
+            console.warn(`⚠️ Chat message of ${cleanMessage.length} characters truncated to 256`);
+        }
         const finalMessage = cleanMessage.length > 256 ? 
             cleanMessage.substring(0, 253) + '...' : 
             cleanMessage;
         
-        // Send the message via bedrock protocol
-        if (bot.connected && bot.client) {
+        // Nothing is sent while reconnecting - the caller keeps the message
+        if (!canSendChat(bot)) {
+            return false;
+        }
+        
+        // Send the message via bedrock protocol (simulation mode has no client and only logs it)
+        if (bot.client) {
             bot.client.write('text', {
                 type: 'chat',
                 needs_translation: false,
@@ -76,19 +100,93 @@ async function safeSendChat(bot, message) {
     }
 }
 
+// Bedrock clients can't send whisper packets - private messages go out as a /tell command request
+async function safeSendPrivate(bot, player, message) {
+    try {
+        if (!player || typeof player !== 'string' || !message || typeof message !== 'string') {
+            console.warn('Invalid private message:', player, message);
+            return false;
+        }
+        
+        // Quotes and line breaks would end the target or the command early
+        const target = player.replace(/["\r\n]/g, '').trim();
+        const cleanMessage = message.replace(/[\r\n]+/g, ' ').trim();
+        if (!target || cleanMessage.length === 0) {
+            console.warn('Empty private message attempted');
+            return false;
+        }
+        
+        const finalMessage = cleanMessage.length > 256 ?
+            cleanMessage.substring(0, 253) + '...' :
+            cleanMessage;
+        
+        if (!canSendChat(bot)) {
+            return false;
+        }
+        
+        if (bot.client) {
+            bot.client.write('command_request', buildCommandRequest(bot, `/tell "${target}" ${finalMessage}`));
+            bot.emit('packet_sent');
+        }
+        
+        console.log(`🤫 Whisper to ${target}: ${finalMessage}`);
+        bot.emit('whisper_sent', { player: target, message: finalMessage });
+        return true;
+        
+    } catch (error) {
+        console.error('Failed to send private message:', error);
+        bot.emit('error', error);
+        return false;
+    }
+}
+
+function canSendChat(bot) {
+    return !!bot.connected && (!!bot.client || !!bot.config.simulationMode);
+}
+
+// command_request changed shape in 1.21.130: string version and an unconditional player_entity_id
+function buildCommandRequest(bot, command) {
+    const version = String(bot.client.options?.version || bot.config.version || '');
+    const [major = 0, minor = 0, patch = 0] = version.split('.').map(part => parseInt(part) || 0);
+    const modern = major > 1 || minor > 21 || (minor === 21 && patch >= 130);
+    
+    const origin = { type: 'player', uuid: crypto.randomUUID(), request_id: '' };
+    if (modern) origin.player_entity_id = 0n;
+    
+    return {
+        command,
+        origin,
+        internal: false,
+        version: modern ? 'latest' : 52
+    };
+}
+
 // CHAT SAFETY FIXES - Override the bot's sendChat method to use safe sending
 function setupSafeChatMethod(bot) {
     // Store original method if it exists
     bot._originalSendChat = bot.sendChat;
     
-    // Override with safe method
-    bot.sendChat = async function(message) {
+    // Raw senders - only ChatManager's outbound queue should call these
+    bot.writeChat = async function(message) {
         return await safeSendChat(this, message);
     };
     
+    bot.writePrivate = async function(player, message) {
+        return await safeSendPrivate(this, player, message);
+    };
+    
+    // Everything else is queued: options are { priority: 'high'|'normal'|'low', wait }
+    bot.sendChat = async function(message, options = {}) {
+        if (!this.chatManager) return await safeSendChat(this, message);
+        return await this.chatManager.sendChatSafely(message, null, options);
+    };
+    
     // Also create chat method alias
-    bot.chat = async function(message) {
-        return await safeSendChat(this, message);
+    bot.chat = bot.sendChat;
+    
+    bot.sendPrivate = async function(player, message, options = {}) {
+        if (!this.chatManager) return await safeSendPrivate(this, player, message);
+        return await this.chatManager.sendPrivate(player, message, options);
     };
 }
 
@@ -103,46 +201,123 @@ async function broadcastStrategy(bot, strategy) {
         const strategyText = `🎯 Strategy adapted for ${strategy.gameMode || 'unknown'} (${strategy.difficulty || 'normal'}): ${strategy.dragonStrategy || 'balanced_tactical'}`;
         
         // Use safe chat method
-        await bot.sendChat(strategyText);
+        await bot.sendChat(strategyText, { priority: 'low' });
         
     } catch (error) {
         console.error('Failed to broadcast strategy:', error);
     }
 }
 
+// Routes are guarded by role: viewer < operator < admin
+function requireRole(role, options) {
+    return (req, res, next) => {
+        if (!bot || !bot.authManager) {
+            return res.status(503).json({ error: 'Bot not initialized' });
+        }
+        bot.authManager.requireRole(role, options)(req, res, next);
+    };
+}
+
+// Orchestrator probes - unauthenticated, and they only report health, never bot data
+app.get('/healthz', (req, res) => {
+    if (!bot || !bot.healthManager) {
+        return res.json({ status: 'ok', detail: 'starting' });
+    }
+    const liveness = bot.healthManager.getLiveness();
+    res.status(liveness.status === 'ok' ? 200 : 503).json(liveness);
+});
+
+app.get('/readyz', async (req, res) => {
+    if (!bot || !bot.healthManager) {
+        return res.status(503).json({ status: 'fail', detail: 'Bot not initialized' });
+    }
+    try {
+        const readiness = await bot.healthManager.getReadiness();
+        res.status(readiness.status === 'ok' ? 200 : 503).json(readiness);
+    } catch (error) {
+        res.status(503).json({ status: 'fail', detail: error.message });
+    }
+});
+
+// Operator dashboard - static assets are public, the data it loads still needs an API key
+app.use('/dashboard', express.static(path.join(__dirname, 'public', 'dashboard')));
+
+// ?limit=&offset=&since=&until=&name=a,b* for the event history routes
+function parseHistoryQuery(query) {
+    const parseTime = (value, field) => {
+        if (value === undefined || value === '') return null;
+        const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        if (Number.isNaN(time)) {
+            const error = new Error(`${field} must be epoch milliseconds or an ISO date`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return time;
+    };
+    
+    return {
+        limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 500),
+        offset: Math.max(parseInt(query.offset) || 0, 0),
+        since: parseTime(query.since, 'since'),
+        until: parseTime(query.until, 'until'),
+        names: query.name ? String(query.name).split(',') : []
+    };
+}
+
 // API Routes
-app.get('/', (req, res) => {
+app.get('/', requireRole('viewer'), (req, res) => {
     res.json({
-        status: '✅ Ender Dragon Mission Bot is running!',
+        status: bot?.connected ? '✅ Ender Dragon Mission Bot is running!' : '⚠️ Ender Dragon Mission Bot is not connected',
+        connected: !!bot?.connected,
         mission: 'Defeat the Ender Dragon',
         gameMode: bot?.gameplayManager?.currentGameMode || 'unknown',
         playersOnline: bot?.players?.size || 0,
         missionStatus: bot?.missionManager?.getCurrentStatus() || 'waiting',
         learningEnabled: bot?.config?.learningEnabled || false,
-        uptime: bot ? Math.floor((Date.now() - bot.sessionStartTime) / 1000) : 0
+        uptime: bot ? Math.floor((Date.now() - bot.sessionStartTime) / 1000) : 0,
+        dashboard: '/dashboard'
     });
 });
 
-app.get('/status', (req, res) => {
+app.get('/status', requireRole('viewer'), (req, res) => {
     if (!bot) {
         return res.json({ error: 'Bot not initialized' });
     }
     
     res.json({
         connected: bot.connected,
+        username: bot.config?.username,
+        uptime: Math.floor((Date.now() - bot.sessionStartTime) / 1000),
+        runtimeId: bot.runtimeId !== null ? String(bot.runtimeId) : null,
         health: bot.health,
+        maxHealth: bot.maxHealth,
+        food: bot.food,
         position: bot.position,
+        world: bot.worldStateManager?.getWorldState(),
         players: Array.from(bot.players.values()),
+        playerTracking: bot.playerManager?.getPlayerStatus(),
+        entities: bot.entityManager?.getEntityStatus(),
+        death: bot.deathManager?.getDeathStatus(),
+        time: bot.time,
+        weather: bot.weather,
+        worldModel: bot.chunkManager?.getWorldModelStatus(),
         mission: bot.missionManager?.getCurrentStatus(),
         gameplay: bot.gameplayManager?.getGameplayStatus(),
         learning: bot.learningManager?.getStats(),
         navigation: bot.navigationManager?.getCurrentTarget(),
+        knownLocations: bot.navigationManager?.enderDragonLocations,
+        chat: bot.getRecentChat(),
+        chatQueue: bot.chatManager?.getQueueStatus(),
         combat: bot.combatManager?.getCombatStatus(),
-        inventory: bot.inventoryManager?.getInventoryStatus()
+        inventory: bot.inventoryManager?.getInventoryStatus(),
+        inventoryDetail: bot.inventoryManager?.getDetailedInventory(),
+        reconnect: bot.reconnectManager?.getStatus(),
+        eventStream: bot.eventManager?.getStreamStatus(),
+        actions: bot.actionManager?.getActionStatus()
     });
 });
 
-app.get('/config', (req, res) => {
+app.get('/config', requireRole('viewer'), (req, res) => {
     if (!bot) {
         return res.json({ error: 'Bot not initialized' });
     }
@@ -150,7 +325,7 @@ app.get('/config', (req, res) => {
     res.json(bot.configManager.getPublicConfig());
 });
 
-app.post('/config', (req, res) => {
+app.post('/config', requireRole('admin'), (req, res) => {
     if (!bot) {
         return res.json({ error: 'Bot not initialized' });
     }
@@ -163,32 +338,296 @@ app.post('/config', (req, res) => {
     }
 });
 
-app.post('/mission/:action', (req, res) => {
+// Mission lifecycle: start, pause, resume, reset, abort, skip-to/:phase
+app.post('/mission/:action/:phase?', requireRole('operator'), (req, res) => {
     if (!bot) {
         return res.json({ error: 'Bot not initialized' });
     }
     
-    const { action } = req.params;
+    const { action, phase } = req.params;
+    const reason = req.body?.reason;
     try {
+        let status;
         switch (action) {
             case 'start':
-                bot.missionManager.startMission();
+                status = bot.missionManager.startMission();
                 break;
             case 'pause':
-                bot.missionManager.pauseMission();
+                status = bot.missionManager.pauseMission(reason);
+                break;
+            case 'resume':
+                status = bot.missionManager.resumeMission();
                 break;
             case 'reset':
-                bot.missionManager.resetMission();
+                status = bot.missionManager.resetMission();
+                break;
+            case 'abort':
+                status = bot.missionManager.abortMission(reason);
+                break;
+            case 'skip-to':
+                if (!phase) {
+                    return res.status(400).json({ error: 'Target phase is required' });
+                }
+                status = bot.missionManager.skipToPhase(phase);
+                break;
+            default:
+                return res.status(400).json({ error: 'Invalid action' });
+        }
+        res.json(status);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Remote actions: goto, follow/:player, stop, chat, attack/:entityId, retreat
+// Each answers 202 with a job - poll /actions/jobs/:id or stream ?events=action_job_updated
+app.post('/actions/:action/:target?', requireRole('operator'), (req, res) => {
+    const { action, target } = req.params;
+    const body = req.body || {};
+    const requestedBy = req.principal?.name || null;
+    try {
+        let job;
+        switch (action) {
+            case 'goto':
+                job = bot.actionManager.goto(body, requestedBy);
+                break;
+            case 'follow':
+                job = bot.actionManager.follow(target, requestedBy);
+                break;
+            case 'stop':
+                job = bot.actionManager.stop(requestedBy);
+                break;
+            case 'chat':
+                job = bot.actionManager.chat(body.message, requestedBy);
+                break;
+            case 'attack':
+                if (!target) {
+                    return res.status(400).json({ error: 'Entity id is required' });
+                }
+                job = bot.actionManager.attack(target, requestedBy);
+                break;
+            case 'retreat':
+                job = bot.actionManager.retreat(body.reason, requestedBy);
                 break;
             default:
                 return res.status(400).json({ error: 'Invalid action' });
         }
-        res.json({ success: true, action });
+        res.status(202).json(job);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.get('/actions/jobs', requireRole('viewer'), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    res.json({ jobs: bot.actionManager.getJobs({ status: req.query.status, type: req.query.type, limit }) });
+});
+
+app.get('/actions/jobs/:id', requireRole('viewer'), (req, res) => {
+    const job = bot.actionManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
+
+app.delete('/actions/jobs/:id', requireRole('operator'), (req, res) => {
+    try {
+        res.json(bot.actionManager.cancelJob(req.params.id));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Webhook notifier: outbox status, a test delivery and requeueing failed notifications
+app.get('/webhooks', requireRole('operator'), (req, res) => {
+    res.json(bot.webhookManager.getWebhookStatus());
+});
+
+app.post('/webhooks/test', requireRole('admin'), async (req, res) => {
+    try {
+        res.status(202).json(await bot.webhookManager.sendTestNotification(req.principal?.name));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.post('/webhooks/retry', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await bot.webhookManager.retryFailed());
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Learning data: stats, export/import, category reset and reports
+app.get('/learning', requireRole('viewer'), (req, res) => {
+    res.json(bot.learningManager.getStats());
+});
+
+app.get('/learning/export', requireRole('operator'), (req, res) => {
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="learning-${bot.config.username}-${date}.json"`);
+    res.json(bot.learningManager.exportLearningData());
+});
+
+app.post('/learning/import', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await bot.learningManager.importLearningData(req.body, req.query.mode || 'merge'));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+app.post('/learning/reset', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await bot.learningManager.resetLearningCategories(req.body?.categories));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+app.post('/learning/reports', requireRole('operator'), async (req, res) => {
+    try {
+        const report = await bot.learningManager.generateLearningReport();
+        res.status(201).json(report);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+app.get('/learning/reports', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ reports: await bot.learningManager.listLearningReports() });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+app.get('/learning/reports/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const report = await bot.learningManager.getLearningReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        if (req.query.download !== undefined) {
+            res.set('Content-Disposition', `attachment; filename="${req.params.id}.json"`);
+        }
+        res.json(report);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+// Per-player conversation memory
+app.get('/memory/players', requireRole('viewer'), (req, res) => {
+    res.json(bot.playerMemoryManager.getMemoryStatus());
+});
+
+app.get('/memory/players/:name', requireRole('viewer'), (req, res) => {
+    const memory = bot.playerMemoryManager.getPlayerMemory(req.params.name);
+    if (!memory) {
+        return res.status(404).json({ error: `No memory of ${req.params.name}` });
+    }
+    res.json(memory);
+});
+
+app.delete('/memory/players/:name', requireRole('admin'), (req, res) => {
+    if (!bot.playerMemoryManager.forgetPlayer(req.params.name)) {
+        return res.status(404).json({ error: `No memory of ${req.params.name}` });
+    }
+    res.json({ forgotten: req.params.name });
+});
+
+// Event history - { since, total, offset, limit, nextOffset, items }, see EventManager.queryEvents
+app.get('/events', requireRole('viewer'), (req, res) => {
+    try {
+        res.json(bot.eventManager.queryEvents(parseHistoryQuery(req.query)));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.get('/events/errors', requireRole('viewer'), (req, res) => {
+    try {
+        res.json(bot.eventManager.queryErrors(parseHistoryQuery(req.query)));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.get('/events/performance', requireRole('viewer'), (req, res) => {
+    try {
+        res.json(bot.eventManager.queryPerformance(parseHistoryQuery(req.query)));
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
+// ?scope=events,errors,performance (default: all three)
+app.delete('/events', requireRole('admin'), (req, res) => {
+    const scopes = req.query.scope ? String(req.query.scope).split(',') : ['events', 'errors', 'performance'];
+    const invalid = scopes.filter(scope => !['events', 'errors', 'performance'].includes(scope));
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: `Unknown scope: ${invalid.join(', ')}` });
+    }
+    
+    bot.eventManager.clearEventHistory(scopes);
+    res.json({ cleared: scopes, since: Date.now() });
+});
+
+// Browsers' EventSource can't set an Authorization header - POST here with the key, then open
+// /events/stream?token=<token>. The token expires after 5 minutes; on an error, fetch a new one and reopen.
+app.post('/events/stream-token', requireRole('viewer'), (req, res) => {
+    res.json(bot.authManager.issueStreamToken(req.principal));
+});
+
+// Live event stream (Server-Sent Events): ?events=mission_*,bot_died&replay=20
+// Clients that can send headers (curl, fetch with a streamed body) just use their API key
+app.get('/events/stream', requireRole('viewer', { allowStreamToken: true }), (req, res) => {
+    const events = req.query.events ? String(req.query.events).split(',') : [];
+    const replay = Math.max(0, parseInt(req.query.replay) || 0);
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    
+    const unsubscribe = bot.eventManager.subscribeToStream(
+        { events, replay, lastEventId: req.headers['last-event-id'] || null },
+        (event) => res.write(`id: ${event.id}\nevent: ${event.name}\ndata: ${JSON.stringify(event)}\n\n`)
+    );
+    
+    // Keeps proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Prometheus scrape target - set METRICS_ENABLED=true and give the scraper a viewer key
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+    if (!bot.metricsManager.isEnabled()) {
+        return res.status(404).json({ error: 'Metrics are disabled (METRICS_ENABLED=false)' });
+    }
+    
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(bot.metricsManager.collect());
+});
+
+app.get('/audit', requireRole('admin'), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    res.json({
+        auth: bot.authManager.getAuthStatus(),
+        entries: bot.authManager.getAuditLog(limit)
+    });
+});
+
 app.listen(PORT, () => {
     console.log(`🌐 Express server listening on port ${PORT}`);
 });
@@ -204,6 +643,9 @@ class EnderDragonMissionBot extends EventEmitter {
         // Core bot state
         this.client = null;
         this.connected = false;
+        this.hasSpawned = false;
+        this.shuttingDown = false;
+        this.runtimeId = null;
         this.position = { x: 0, y: 64, z: 0 };
         this.health = 20;
         this.maxHealth = 20;
@@ -287,16 +729,31 @@ class EnderDragonMissionBot extends EventEmitter {
         console.log('🔧 Initializing managers...');
         
         // Core managers
+        this.authManager = new AuthManager(this);
         this.eventManager = new EventManager(this);
+        this.worldStateManager = new WorldStateManager(this);
+        this.chunkManager = new ChunkManager(this);
+        this.playerManager = new PlayerManager(this);
+        this.entityManager = new EntityManager(this);
         this.learningManager = new LearningManager(this);
         this.navigationManager = new NavigationManager(this);
         this.combatManager = new CombatManager(this);
+        this.deathManager = new DeathManager(this);
         
         // Game managers
         this.gameplayManager = new GameplayManager(this);
         this.missionManager = new MissionManager(this);
         this.inventoryManager = new InventoryManager(this);
         this.chatManager = new ChatManager(this);
+        this.playerMemoryManager = new PlayerMemoryManager(this);
+        this.commandManager = new CommandManager(this);
+        
+        // Connection supervision
+        this.reconnectManager = new ReconnectManager(this);
+        this.metricsManager = new MetricsManager(this);
+        this.actionManager = new ActionManager(this);
+        this.healthManager = new HealthManager(this);
+        this.webhookManager = new WebhookManager(this);
         
         console.log('✅ All managers initialized');
     }
@@ -304,15 +761,28 @@ class EnderDragonMissionBot extends EventEmitter {
     setupManagerCommunication() {
         // Create a registry for manager cross-communication
         const managers = {
+            auth: this.authManager,
+            metrics: this.metricsManager,
             event: this.eventManager,
+            world: this.worldStateManager,
+            chunks: this.chunkManager,
+            players: this.playerManager,
+            entities: this.entityManager,
             learning: this.learningManager,
             navigation: this.navigationManager,
             combat: this.combatManager,
+            death: this.deathManager,
             gameplay: this.gameplayManager,
             mission: this.missionManager,
             inventory: this.inventoryManager,
             chat: this.chatManager,
-            config: this.configManager
+            commands: this.commandManager,
+            memory: this.playerMemoryManager,
+            config: this.configManager,
+            reconnect: this.reconnectManager,
+            actions: this.actionManager,
+            health: this.healthManager,
+            webhooks: this.webhookManager
         };
 
         // Give each manager access to others
@@ -348,27 +818,56 @@ class EnderDragonMissionBot extends EventEmitter {
             // Validate message before logging
             const validMessage = message && typeof message === 'string' ? message : '[Invalid Message]';
             console.log(`📡 EventManager: Chat sent - ${validMessage}`);
+            
+            // Our side of the conversation, for the dashboard
+            this.chatHistory.push({ timestamp: Date.now(), player: this.config.username, message: validMessage, outgoing: true });
+            if (this.chatHistory.length > 50) {
+                this.chatHistory.shift();
+            }
+        });
+        
+        this.on('whisper_sent', ({ player, message }) => {
+            this.chatHistory.push({ timestamp: Date.now(), player: this.config.username, message, outgoing: true, private: true, to: player });
+            if (this.chatHistory.length > 50) {
+                this.chatHistory.shift();
+            }
         });
         
         console.log('📡 Event system configured');
     }
 
-    async connect() {
-        console.log(`🐉 Connecting ${this.config.username} to ${this.config.host}:${this.config.port}`);
-        console.log('🎯 Mission: Defeat the Ender Dragon!');
-        console.log(`🧠 AI Brain: ${this.config.geminiModel}`);
-        console.log(`📚 Learning: ${this.config.learningEnabled ? 'Enabled' : 'Disabled'}`);
+    // Incoming (ChatManager) and outgoing chat merged in time order
+    getRecentChat(limit = 20) {
+        const incoming = this.chatManager ? this.chatManager.chatHistory : [];
+        return [...incoming, ...this.chatHistory]
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-limit);
+    }
+
+    async connect(options = {}) {
+        const resume = options.resume === true;
         
-        // Reset session data
-        this.sessionStartTime = Date.now();
-        this.performance = {
-            packetsReceived: 0,
-            packetsSent: 0,
-            errorCount: 0,
-            lastError: null,
-            averageResponseTime: 0,
-            responseTimes: []
-        };
+        console.log(`🐉 ${resume ? 'Reconnecting' : 'Connecting'} ${this.config.username} to ${this.config.host}:${this.config.port}`);
+        
+        if (resume) {
+            // Keep mission, learning and session state - only the client is replaced
+            this.teardownClient();
+        } else {
+            console.log('🎯 Mission: Defeat the Ender Dragon!');
+            console.log(`🧠 AI Brain: ${this.config.geminiModel}`);
+            console.log(`📚 Learning: ${this.config.learningEnabled ? 'Enabled' : 'Disabled'}`);
+            
+            // Reset session data
+            this.sessionStartTime = Date.now();
+            this.performance = {
+                packetsReceived: 0,
+                packetsSent: 0,
+                errorCount: 0,
+                lastError: null,
+                averageResponseTime: 0,
+                responseTimes: []
+            };
+        }
         
         try {
             this.client = bedrock.createClient({
@@ -386,7 +885,7 @@ class EnderDragonMissionBot extends EventEmitter {
             console.error('❌ Connection failed:', error.message);
             this.emit('error', error);
             
-            if (this.config.simulationMode) {
+            if (this.config.simulationMode && !resume) {
                 console.log('🎭 Falling back to simulation mode');
                 this.simulateConnection();
             } else {
@@ -395,15 +894,56 @@ class EnderDragonMissionBot extends EventEmitter {
         }
     }
 
+    // Drop the old client so its late events can't touch the new session
+    teardownClient() {
+        if (!this.client) return;
+        
+        const oldClient = this.client;
+        this.client = null;
+        this.connected = false;
+        
+        // Runtime ids are per session, the new server session will resend everything
+        this.players.clear();
+        this.entities.clear();
+        
+        try {
+            oldClient.removeAllListeners();
+            // Swallow errors from the dying socket
+            oldClient.on('error', () => {});
+            if (typeof oldClient.close === 'function') {
+                oldClient.close();
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to close previous client:', error.message);
+        }
+    }
+
+    handleDisconnect(client, reason) {
+        // Ignore stale clients and duplicate close/disconnect events
+        if (client !== this.client || client._disconnectHandled) return;
+        client._disconnectHandled = true;
+        
+        const reasonText = typeof reason === 'string' ? reason : (reason?.message || JSON.stringify(reason) || 'unknown');
+        console.log('⚠️ Disconnected:', reasonText);
+        this.connected = false;
+        this.emit('disconnected', reasonText);
+    }
+
     setupEventHandlers() {
+        const client = this.client;
+        
         // CHAT SAFETY FIXES - Enhanced spawn event handler with MissionManager connection fix
         this.client.on('spawn', async () => {
-            console.log('✅ DragonSlayerBot spawned successfully!');
+            const resumed = this.hasSpawned;
+            console.log(`✅ DragonSlayerBot ${resumed ? 're' : ''}spawned successfully!`);
             this.connected = true;
+            this.hasSpawned = true;
             this.emit('connected');
             
             // Send safe welcome message
-            await this.sendChat('🐉 DragonSlayerBot online! Enhanced AI with learning capabilities active!');
+            await this.sendChat(resumed ?
+                '🐉 DragonSlayerBot back online! Resuming the dragon mission...' :
+                '🐉 DragonSlayerBot online! Enhanced AI with learning capabilities active!');
             
             // Safely initialize mission manager
             try {
@@ -421,19 +961,105 @@ class EnderDragonMissionBot extends EventEmitter {
             await this.combatManager.onConnect();
         });
 
+        this.client.on('start_game', (packet) => {
+            this.emit('packet_received');
+            this.worldStateManager.handleStartGame(packet);
+            this.chunkManager.handlePacket('start_game', packet);
+            this.inventoryManager.handleItemStates(packet.itemstates);
+        });
+
+        // Newer servers send the item table separately from start_game
+        this.client.on('item_registry', (packet) => {
+            this.emit('packet_received');
+            this.inventoryManager.handleItemStates(packet.itemstates);
+        });
+
+        this.client.on('inventory_content', (packet) => {
+            this.emit('packet_received');
+            this.inventoryManager.handleInventoryContent(packet);
+        });
+
+        this.client.on('inventory_slot', (packet) => {
+            this.emit('packet_received');
+            this.inventoryManager.handleInventorySlot(packet);
+        });
+
+        this.client.on('mob_equipment', (packet) => {
+            this.emit('packet_received');
+            this.inventoryManager.handleMobEquipment(packet);
+        });
+
+        this.client.on('mob_armor_equipment', (packet) => {
+            this.emit('packet_received');
+            this.inventoryManager.handleMobArmorEquipment(packet);
+        });
+
+        this.client.on('change_dimension', (packet) => {
+            this.emit('packet_received');
+            
+            // Nothing we were tracking exists in the new dimension
+            this.players.clear();
+            this.entities.clear();
+            
+            this.worldStateManager.handleChangeDimension(packet);
+            this.chunkManager.handlePacket('change_dimension', packet);
+            this.acknowledgeDimensionChange();
+        });
+
+        // Chunk data feeds the block world model
+        ['level_chunk', 'subchunk', 'update_block'].forEach(name => {
+            this.client.on(name, (packet) => {
+                this.emit('packet_received');
+                this.chunkManager.handlePacket(name, packet);
+            });
+        });
+
+        this.client.on('respawn', (packet) => {
+            this.emit('packet_received');
+            this.worldStateManager.handleRespawn(packet);
+            this.deathManager.handleRespawnPacket(packet);
+        });
+
+        this.client.on('set_time', (packet) => {
+            this.emit('packet_received');
+            this.worldStateManager.handleSetTime(packet);
+        });
+
+        this.client.on('level_event', (packet) => {
+            this.emit('packet_received');
+            this.worldStateManager.handleLevelEvent(packet);
+        });
+
+        this.client.on('set_player_game_type', (packet) => {
+            this.emit('packet_received');
+            this.worldStateManager.handleSetPlayerGameType(packet);
+        });
+
+        this.client.on('update_player_game_type', (packet) => {
+            this.emit('packet_received');
+            this.worldStateManager.handleUpdatePlayerGameType(packet);
+            this.playerManager.handleUpdatePlayerGameType(packet);
+        });
+
+        this.client.on('set_difficulty', (packet) => {
+            this.emit('packet_received');
+            this.worldStateManager.handleSetDifficulty(packet);
+        });
+
+        this.client.on('update_adventure_settings', (packet) => {
+            this.emit('packet_received');
+            this.worldStateManager.handleUpdateAdventureSettings(packet);
+        });
+
         this.client.on('text', (packet) => {
             this.emit('packet_received');
+            this.deathManager.handleChatPacket(packet);
             this.chatManager.handleChatMessage(packet);
         });
 
         this.client.on('add_player', async (packet) => {
             this.emit('packet_received');
-            this.players.set(packet.runtime_id, {
-                name: packet.username,
-                uuid: packet.uuid,
-                position: packet.position,
-                joinTime: Date.now()
-            });
+            this.playerManager.handleAddPlayer(packet);
             
             console.log(`👋 Player joined: ${packet.username}`);
             this.emit('player_joined', packet);
@@ -441,33 +1067,60 @@ class EnderDragonMissionBot extends EventEmitter {
             await this.missionManager.handlePlayerJoin(packet.username);
         });
 
-        this.client.on('remove_player', (packet) => {
+        this.client.on('player_list', (packet) => {
             this.emit('packet_received');
-            const player = this.players.get(packet.runtime_id);
-            if (player) {
-                console.log(`👋 Player left: ${player.name}`);
-                this.emit('player_left', player);
-                this.players.delete(packet.runtime_id);
-                this.missionManager.handlePlayerLeave(player.name);
-            }
+            const departed = this.playerManager.handlePlayerList(packet);
+            departed.forEach(player => this.handlePlayerLeft(player));
         });
 
         this.client.on('move_player', (packet) => {
             this.emit('packet_received');
-            if (packet.runtime_id === this.runtimeId) {
+            if (this.isSelf(packet.runtime_id)) {
                 this.position = packet.position;
                 this.emit('position_update', packet.position);
+            } else {
+                this.playerManager.handleMovePlayer(packet);
+            }
+        });
+
+        this.client.on('move_entity', (packet) => {
+            this.emit('packet_received');
+            if (!this.playerManager.handleMoveEntity(packet)) {
+                this.entityManager.handleMoveEntity(packet);
+            }
+        });
+
+        this.client.on('move_entity_delta', (packet) => {
+            this.emit('packet_received');
+            if (!this.playerManager.handleMoveEntityDelta(packet)) {
+                this.entityManager.handleMoveEntityDelta(packet);
             }
         });
 
+        this.client.on('set_entity_data', (packet) => {
+            this.emit('packet_received');
+            this.entityManager.handleSetEntityData(packet);
+        });
+
+        this.client.on('set_entity_motion', (packet) => {
+            this.emit('packet_received');
+            this.entityManager.handleSetEntityMotion(packet);
+        });
+
+        this.client.on('entity_event', (packet) => {
+            this.emit('packet_received');
+            this.entityManager.handleEntityEvent(packet);
+        });
+
         this.client.on('update_attributes', (packet) => {
             this.emit('packet_received');
-            if (packet.runtime_id === this.runtimeId) {
+            if (this.isSelf(packet.runtime_entity_id ?? packet.runtime_id)) {
                 packet.attributes.forEach(attr => {
                     switch (attr.name) {
                         case 'minecraft:health':
                             this.health = attr.current;
                             this.maxHealth = attr.max;
+                            this.deathManager.handleHealthUpdate(this.health);
                             break;
                         case 'minecraft:player.hunger':
                             this.food = attr.current;
@@ -478,28 +1131,42 @@ class EnderDragonMissionBot extends EventEmitter {
                     }
                 });
                 this.emit('stats_update', { health: this.health, food: this.food, experience: this.experience });
+            } else {
+                this.entityManager.handleUpdateAttributes(packet);
             }
         });
 
         this.client.on('add_entity', (packet) => {
             this.emit('packet_received');
-            this.entities.set(packet.runtime_id, packet);
-            this.emit('entity_spawned', packet);
+            const entity = this.entityManager.handleAddEntity(packet);
+            this.emit('entity_spawned', entity);
         });
 
         this.client.on('remove_entity', (packet) => {
             this.emit('packet_received');
-            const entity = this.entities.get(packet.runtime_id);
+            
+            const player = this.playerManager.handleRemoveEntity(packet);
+            if (player) {
+                this.handlePlayerLeft(player);
+                return;
+            }
+            
+            const entity = this.entityManager.handleRemoveEntity(packet);
             if (entity) {
                 this.emit('entity_removed', entity);
-                this.entities.delete(packet.runtime_id);
             }
         });
 
-        this.client.on('disconnect', (reason) => {
-            console.log('⚠️ Disconnected:', reason);
-            this.connected = false;
-            this.emit('disconnected', reason);
+        this.client.on('disconnect', (packet) => {
+            this.handleDisconnect(client, packet?.message || packet);
+        });
+
+        this.client.on('kick', (packet) => {
+            this.handleDisconnect(client, packet?.message || 'kicked');
+        });
+
+        this.client.on('close', () => {
+            this.handleDisconnect(client, 'connection closed');
         });
 
         // CHAT SAFETY FIXES - Enhanced error handling
@@ -520,6 +1187,35 @@ class EnderDragonMissionBot extends EventEmitter {
         this.setupPacketMonitoring();
     }
 
+    handlePlayerLeft(player) {
+        console.log(`👋 Player left: ${player.name}`);
+        this.emit('player_left', player);
+        this.missionManager.handlePlayerLeave(player.name);
+    }
+
+    // start_game sends the runtime id as varint64 (BigInt) but move_player uses a plain varint
+    isSelf(runtimeId) {
+        if (runtimeId === undefined || runtimeId === null || this.runtimeId === null) return false;
+        return String(runtimeId) === String(this.runtimeId);
+    }
+
+    // The server keeps us in the loading screen until we confirm the dimension change
+    acknowledgeDimensionChange() {
+        if (!this.client || this.runtimeId === null) return;
+
+        try {
+            this.client.write('player_action', {
+                runtime_entity_id: this.runtimeId,
+                action: 'dimension_change_ack',
+                position: { x: 0, y: 0, z: 0 },
+                result_position: { x: 0, y: 0, z: 0 },
+                face: 0
+            });
+        } catch (error) {
+            console.error('❌ Failed to acknowledge dimension change:', error.message);
+        }
+    }
+
     setupPacketMonitoring() {
         if (this.config.debugMode) {
             this.client.on('packet', (data, meta) => {
@@ -532,6 +1228,7 @@ class EnderDragonMissionBot extends EventEmitter {
 
     simulateConnection() {
         this.connected = true;
+        this.inventoryManager.useSimulatedBackend();
         this.emit('connected');
         console.log('🎭 Simulation mode active - Dragon mission ready!');
         
@@ -544,10 +1241,7 @@ class EnderDragonMissionBot extends EventEmitter {
                 position: { x: 10, y: 64, z: 10 }
             };
             
-            this.players.set(1, {
-                ...simulatedPlayer,
-                joinTime: Date.now()
-            });
+            this.playerManager.handleAddPlayer(simulatedPlayer);
             
             console.log('👋 Player joined: Steve (simulated)');
             this.emit('player_joined', simulatedPlayer);
@@ -564,6 +1258,11 @@ class EnderDragonMissionBot extends EventEmitter {
         return await safeSendChat(this, message);
     }
 
+    async sendPrivate(player, message) {
+        console.warn('Using fallback sendPrivate - safe method should have been set up');
+        return await safeSendPrivate(this, player, message);
+    }
+
     async generateAIResponse(prompt, context = {}) {
         try {
             const enhancedPrompt = this.learningManager.enhancePromptWithLearning(prompt, context);
@@ -594,15 +1293,29 @@ class EnderDragonMissionBot extends EventEmitter {
 
     async shutdown() {
         console.log('🛑 Shutting down Ender Dragon Bot...');
+        this.shuttingDown = true;
+        
+        if (this.reconnectManager) {
+            this.reconnectManager.cancel();
+        }
         
         // Save learning data
         if (this.learningManager) {
             await this.learningManager.saveAllData();
         }
         
+        if (this.playerMemoryManager) {
+            await this.playerMemoryManager.saveMemory();
+        }
+        
+        if (this.chunkManager) {
+            this.chunkManager.stopRecording();
+        }
+        
         // Disconnect client
         if (this.client && this.connected) {
-            await this.sendChat('🐉 DragonSlayerBot shutting down. Dragon mission paused...');
+            // Straight to the wire - waiting behind a full queue could outlast the stop grace period
+            await this.writeChat('[Dragon] DragonSlayerBot shutting down. Dragon mission paused...');
             this.client.disconnect();
         }
         
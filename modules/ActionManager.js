@@ -0,0 +1,383 @@
+// modules/ActionManager.js - Operator-issued actions (goto, follow, chat, attack...) tracked as pollable jobs
+const crypto = require('crypto');
+
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+// Actions that steer the bot - starting one cancels whichever is in progress
+const MOVEMENT_ACTIONS = ['goto', 'follow', 'attack', 'retreat'];
+
+class ActionManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        this.jobs = new Map(); // id -> job, oldest first
+        this.maxJobs = 100;
+        this.progressInterval = 1000;
+
+        console.log('🎮 ActionManager initialized');
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    // Errors carry an HTTP status like MissionManager's lifecycle errors
+    actionError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    requireConnected() {
+        if (!this.bot.connected) {
+            throw this.actionError('Bot is not connected', 409);
+        }
+    }
+
+    // Action entry points - each validates synchronously and returns the new job
+
+    goto(target = {}, requestedBy = null) {
+        const position = {
+            x: Number(target.x),
+            y: Number(target.y ?? this.bot.position.y),
+            z: Number(target.z)
+        };
+        if (![position.x, position.y, position.z].every(Number.isFinite)) {
+            throw this.actionError('x and z (and optionally y) must be numbers');
+        }
+        this.requireConnected();
+
+        const options = {};
+        if (target.precision !== undefined) options.precision = Math.max(0.5, Number(target.precision) || 2);
+        if (target.timeout !== undefined) options.timeout = Math.min(Math.max(1000, Number(target.timeout) || 30000), 300000);
+
+        return this.startJob('goto', { target: position, ...options }, requestedBy, (job) => this.runGoto(job, position, options));
+    }
+
+    follow(playerName, requestedBy = null) {
+        if (!playerName) {
+            throw this.actionError('Player name is required');
+        }
+        this.requireConnected();
+
+        const player = this.managers.players?.findPlayerByName(playerName);
+        if (!player) {
+            throw this.actionError(`Player ${playerName} not found`, 404);
+        }
+
+        return this.startJob('follow', { player: player.name }, requestedBy, (job) => this.runFollow(job, player));
+    }
+
+    stop(requestedBy = null) {
+        return this.startJob('stop', {}, requestedBy, () => {
+            const navigation = this.managers.navigation;
+            const wasNavigating = navigation.isNavigating || !!navigation.followingPlayer;
+            const cancelled = this.cancelMovementJobs('Stopped by operator');
+            navigation.stopNavigation();
+            return { cancelledJobs: cancelled, wasNavigating };
+        });
+    }
+
+    chat(message, requestedBy = null) {
+        if (typeof message !== 'string' || message.trim().length === 0) {
+            throw this.actionError('Message is required');
+        }
+        if (message.length > 256) {
+            throw this.actionError('Message is longer than 256 characters');
+        }
+        this.requireConnected();
+
+        return this.startJob('chat', { message }, requestedBy, async () => {
+            // Resolves once the queued message has actually gone out; an operator asked for this exact line
+            const sent = await this.bot.sendChat(message, { priority: 'high', wait: true });
+            if (!sent) {
+                throw new Error('Chat message was not sent');
+            }
+            return { sent: true };
+        });
+    }
+
+    attack(entityId, requestedBy = null) {
+        this.requireConnected();
+
+        const id = String(entityId);
+        const entity = this.bot.entities.get(id);
+        if (!entity || entity.dead) {
+            throw this.actionError(`Entity ${id} not found`, 404);
+        }
+
+        const combat = this.managers.combat;
+        if (combat.paused) {
+            throw this.actionError('Combat is paused while the mission is paused', 409);
+        }
+
+        const distance = combat.calculateDistance(this.bot.position, entity.position || entity);
+        if (distance > combat.config.maxCombatRange) {
+            throw this.actionError(`Entity ${id} is ${Math.round(distance)} blocks away (max ${combat.config.maxCombatRange})`, 409);
+        }
+
+        const target = { ...entity, id, distance, threat: combat.calculateEntityThreat(entity) };
+        return this.startJob('attack', { entityId: id, type: entity.type }, requestedBy, (job) => this.runAttack(job, target));
+    }
+
+    retreat(reason = 'OPERATOR_REQUEST', requestedBy = null) {
+        this.requireConnected();
+
+        return this.startJob('retreat', { reason }, requestedBy, async () => {
+            const combat = this.managers.combat;
+            const wasInCombat = combat.inCombat;
+            const from = { ...this.bot.position };
+            await combat.executeRetreat(reason);
+            return { wasInCombat, from, position: { ...this.bot.position } };
+        });
+    }
+
+    // Job runners - resolve with the job result, throw to fail it
+
+    async runGoto(job, position, options) {
+        const navigation = this.managers.navigation;
+        if (navigation.paused) {
+            throw new Error('Navigation is paused while the mission is paused');
+        }
+
+        // Cancelling stops this run only - a goto that replaced it keeps going
+        const controller = new AbortController();
+        job.onCancel = () => controller.abort();
+        const stopTracking = this.trackProgress(job, () => ({
+            distance: Math.round(navigation.calculateDistance(this.bot.position, position) * 10) / 10
+        }));
+
+        try {
+            const reached = await navigation.navigateToTarget(position, { ...options, signal: controller.signal });
+            if (!reached) {
+                throw new Error('Navigation did not reach the target');
+            }
+            return { position: { ...this.bot.position } };
+        } finally {
+            stopTracking();
+        }
+    }
+
+    async runFollow(job, player) {
+        const navigation = this.managers.navigation;
+        const controller = new AbortController();
+        const following = await navigation.followPlayer(player.name, { signal: controller.signal });
+        if (!following) {
+            throw new Error('Navigation is paused while the mission is paused');
+        }
+
+        job.onCancel = () => controller.abort();
+
+        // Runs until the follow loop ends - stopped, replaced or the player left
+        return new Promise((resolve) => {
+            const timer = setInterval(() => {
+                if (this.isFinished(job) || navigation.followingPlayer !== player.name) {
+                    clearInterval(timer);
+                    resolve({ playerOnline: this.bot.players.has(player.runtimeId) });
+                    return;
+                }
+
+                const current = this.bot.players.get(player.runtimeId);
+                if (current?.position) {
+                    this.updateProgress(job, {
+                        distance: Math.round(navigation.calculateDistance(this.bot.position, current.position) * 10) / 10
+                    });
+                }
+            }, this.progressInterval);
+        });
+    }
+
+    async runAttack(job, target) {
+        const combat = this.managers.combat;
+
+        // Break off any fight the bot picked itself first, so its combat_end isn't taken for ours
+        if (combat.inCombat) {
+            await combat.endCombat('RETARGETED');
+        }
+
+        let onEnd;
+        const outcome = new Promise((resolve) => {
+            onEnd = resolve;
+            combat.on('combat_end', onEnd);
+            job.onCancel = () => {
+                if (combat.currentTarget?.id !== target.id) return;
+                combat.endCombat('OPERATOR_STOP').catch(error => {
+                    console.error('❌ Failed to end combat on cancel:', error);
+                });
+            };
+        });
+
+        const stopTracking = this.trackProgress(job, () => {
+            const entity = this.bot.entities.get(target.id);
+            return {
+                targetDistance: entity ? Math.round(combat.calculateDistance(this.bot.position, entity.position || entity) * 10) / 10 : null,
+                botHealth: this.bot.health
+            };
+        });
+
+        try {
+            await combat.engageTarget(target);
+            const result = await outcome;
+            if (result.outcome !== 'TARGET_DEFEATED') {
+                throw new Error(`Combat ended: ${result.outcome}`);
+            }
+            return { outcome: result.outcome, duration: result.duration };
+        } finally {
+            // Also reached when engageTarget throws and combat_end never fires
+            combat.off('combat_end', onEnd);
+            stopTracking();
+        }
+    }
+
+    // Job bookkeeping
+
+    startJob(type, params, requestedBy, runner) {
+        if (MOVEMENT_ACTIONS.includes(type)) {
+            // A retreat leaves an attack job running so the fight ends as RETREAT and counts as an escape
+            const superseded = type === 'retreat' ? MOVEMENT_ACTIONS.filter(t => t !== 'attack') : MOVEMENT_ACTIONS;
+            this.cancelMovementJobs(`Superseded by ${type}`, superseded);
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            params,
+            requestedBy,
+            status: 'running',
+            progress: null,
+            result: null,
+            error: null,
+            createdAt: Date.now(),
+            finishedAt: null,
+            onCancel: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pruneJobs();
+        console.log(`🎮 Action ${type} started (job ${job.id})`);
+        this.publish(job);
+
+        Promise.resolve()
+            .then(() => runner(job))
+            .then(result => this.finishJob(job, 'succeeded', { result: result ?? null }))
+            .catch(error => this.finishJob(job, 'failed', { error: error.message }));
+
+        return this.toPublicJob(job);
+    }
+
+    finishJob(job, status, { result = null, error = null } = {}) {
+        // A cancelled job's runner may still settle afterwards - first outcome wins
+        if (this.isFinished(job)) return false;
+
+        job.status = status;
+        job.result = result;
+        job.error = error;
+        job.finishedAt = Date.now();
+
+        const detail = error ? `: ${error}` : '';
+        console.log(`🎮 Action ${job.type} ${status}${detail} (job ${job.id})`);
+        this.publish(job);
+        return true;
+    }
+
+    cancelJob(id, reason = 'Cancelled by operator') {
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw this.actionError(`Job ${id} not found`, 404);
+        }
+        if (this.isFinished(job)) {
+            throw this.actionError(`Job ${id} already ${job.status}`, 409);
+        }
+
+        this.cancel(job, reason);
+        return this.toPublicJob(job);
+    }
+
+    cancel(job, reason) {
+        if (!this.finishJob(job, 'cancelled', { error: reason })) return;
+
+        if (job.onCancel) {
+            try {
+                job.onCancel();
+            } catch (error) {
+                console.warn(`⚠️ Cancelling job ${job.id} failed:`, error.message);
+            }
+        }
+    }
+
+    cancelMovementJobs(reason, types = MOVEMENT_ACTIONS) {
+        const cancelled = [];
+        this.jobs.forEach(job => {
+            if (types.includes(job.type) && !this.isFinished(job)) {
+                this.cancel(job, reason);
+                cancelled.push(job.id);
+            }
+        });
+        return cancelled;
+    }
+
+    // Polls a progress snapshot while the job runs; returns the stop function
+    trackProgress(job, snapshot) {
+        const timer = setInterval(() => {
+            if (this.isFinished(job)) {
+                clearInterval(timer);
+                return;
+            }
+            this.updateProgress(job, snapshot());
+        }, this.progressInterval);
+        return () => clearInterval(timer);
+    }
+
+    updateProgress(job, progress) {
+        if (JSON.stringify(progress) === JSON.stringify(job.progress)) return;
+        job.progress = progress;
+        this.publish(job);
+    }
+
+    isFinished(job) {
+        return FINISHED_STATES.includes(job.status);
+    }
+
+    // Streamed over /events/stream as action_job_updated
+    publish(job) {
+        job.updatedAt = Date.now();
+        this.bot.emit('action_job_updated', this.toPublicJob(job));
+    }
+
+    pruneJobs() {
+        for (const [id, job] of this.jobs) {
+            if (this.jobs.size <= this.maxJobs) break;
+            if (this.isFinished(job)) this.jobs.delete(id);
+        }
+    }
+
+    toPublicJob(job) {
+        const { onCancel, ...publicJob } = job;
+        return publicJob;
+    }
+
+    getJob(id) {
+        const job = this.jobs.get(id);
+        return job ? this.toPublicJob(job) : null;
+    }
+
+    getJobs({ status, type, limit = 50 } = {}) {
+        return Array.from(this.jobs.values())
+            .filter(job => !status || job.status === status)
+            .filter(job => !type || job.type === type)
+            .slice(-limit)
+            .reverse()
+            .map(job => this.toPublicJob(job));
+    }
+
+    getActionStatus() {
+        const active = Array.from(this.jobs.values()).filter(job => !this.isFinished(job));
+        return {
+            activeJobs: active.map(job => ({ id: job.id, type: job.type, progress: job.progress })),
+            totalJobs: this.jobs.size
+        };
+    }
+}
+
+module.exports = ActionManager;
@@ -0,0 +1,40 @@
+// modules/AtomicFile.js - Crash-safe JSON saves shared by the managers that persist state
+const fs = require('fs').promises;
+const path = require('path');
+
+// file -> promise of the last write queued for it
+const pendingWrites = new Map();
+
+/**
+ * Write JSON to a temp file and rename it over the target, so a crash never leaves half a file.
+ * Writes to the same file run one at a time in call order - an older snapshot can't be renamed
+ * over a newer one. Pass a function as data to serialize the state as it is when the write runs.
+ */
+function writeJsonAtomic(file, data) {
+    const previous = pendingWrites.get(file) || Promise.resolve();
+    const write = previous
+        .catch(() => {}) // the caller of the failed write already got its error
+        .then(() => writeNow(file, typeof data === 'function' ? data() : data));
+
+    pendingWrites.set(file, write);
+    const forget = () => {
+        if (pendingWrites.get(file) === write) pendingWrites.delete(file);
+    };
+    write.then(forget, forget);
+
+    return write;
+}
+
+async function writeNow(file, data) {
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+}
+
+module.exports = { writeJsonAtomic };
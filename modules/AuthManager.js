@@ -0,0 +1,250 @@
+// modules/AuthManager.js - API key authentication, roles and audit logging for the HTTP API
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Long enough for EventSource to reconnect after a blip; after that the client fetches a new one
+const STREAM_TOKEN_TTL = 300000;
+
+class AuthManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        this.principals = []; // { name, role, keyHash, source }
+        this.streamTokens = new Map(); // token hash (hex) -> { principal, expiresAt }
+        this.auditLog = [];
+        this.maxAuditEntries = 200;
+        this.auditLogPath = path.resolve(bot.config?.auditLogPath || './data/audit.log');
+
+        this.loadKeys();
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    getSettings() {
+        const config = this.bot.config || {};
+        return {
+            enabled: config.apiAuthEnabled !== false,
+            anonymousRole: ROLES.includes(config.apiAnonymousRole) ? config.apiAnonymousRole : null,
+            adminUsers: config.adminUsers || []
+        };
+    }
+
+    // Keys come from HTTP_API_KEYS ("name:role:key,...") and an optional JSON secrets file
+    async loadKeys() {
+        const principals = [];
+        const config = this.bot.config || {};
+
+        (config.apiKeys || []).forEach(entry => {
+            const principal = this.createPrincipal(entry, 'env');
+            if (principal) principals.push(principal);
+        });
+
+        if (config.apiKeysFile) {
+            try {
+                const data = JSON.parse(await fs.readFile(config.apiKeysFile, 'utf8'));
+                const entries = Array.isArray(data) ? data : data.keys || [];
+                entries.forEach(entry => {
+                    const principal = this.createPrincipal(entry, 'file');
+                    if (principal) principals.push(principal);
+                });
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.warn(`⚠️ Could not read API keys from ${config.apiKeysFile}:`, error.message);
+                }
+            }
+        }
+
+        this.principals = principals;
+
+        const settings = this.getSettings();
+        if (!settings.enabled) {
+            console.warn('⚠️ API authentication is DISABLED - anyone can control the bot over HTTP');
+        } else if (principals.length === 0) {
+            console.warn('⚠️ No API keys configured - the HTTP API will reject every authenticated route');
+        }
+        console.log(`🔐 AuthManager initialized (${principals.length} API principals)`);
+
+        return principals.length;
+    }
+
+    createPrincipal(entry, source) {
+        if (!entry || !entry.name || (!entry.key && !entry.keyHash)) {
+            console.warn(`⚠️ Ignoring malformed API key entry from ${source}`);
+            return null;
+        }
+        if (!ROLES.includes(entry.role)) {
+            console.warn(`⚠️ API key "${entry.name}" has unknown role "${entry.role}" - ignoring`);
+            return null;
+        }
+
+        return {
+            name: entry.name,
+            role: entry.role,
+            // Files may store only the SHA-256 of the key so the plaintext never sits on disk
+            keyHash: entry.keyHash ? Buffer.from(entry.keyHash, 'hex') : this.hashKey(entry.key),
+            source
+        };
+    }
+
+    hashKey(key) {
+        return crypto.createHash('sha256').update(String(key)).digest();
+    }
+
+    extractKey(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice(7).trim();
+        }
+        return req.headers['x-api-key'] || null;
+    }
+
+    // Compares against every principal so response time doesn't reveal which key matched
+    authenticate(req) {
+        const key = this.extractKey(req);
+        if (!key) return null;
+
+        const presented = this.hashKey(key);
+        let match = null;
+
+        this.principals.forEach(principal => {
+            if (principal.keyHash.length === presented.length &&
+                crypto.timingSafeEqual(principal.keyHash, presented) && !match) {
+                match = principal;
+            }
+        });
+
+        if (!match) return null;
+        return { name: match.name, role: this.getEffectiveRole(match) };
+    }
+
+    // A browser EventSource can't send headers, so it puts one of these in the URL instead.
+    // Tokens are read-only (viewer at most) and only accepted where a route opts in.
+    issueStreamToken(principal) {
+        const now = Date.now();
+        this.streamTokens.forEach((entry, hash) => {
+            if (entry.expiresAt <= now) this.streamTokens.delete(hash);
+        });
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const expiresAt = now + STREAM_TOKEN_TTL;
+        this.streamTokens.set(this.hashKey(token).toString('hex'), {
+            principal: { name: principal.name, role: 'viewer' },
+            expiresAt
+        });
+        return { token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    redeemStreamToken(token) {
+        const hash = this.hashKey(token).toString('hex');
+        const entry = this.streamTokens.get(hash);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.streamTokens.delete(hash);
+            return null;
+        }
+        return entry.principal;
+    }
+
+    // ADMIN_USERS covers API principals as well as in-game players
+    getEffectiveRole(principal) {
+        return this.getSettings().adminUsers.includes(principal.name) ? 'admin' : principal.role;
+    }
+
+    hasRole(role, requiredRole) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+    }
+
+    requireRole(requiredRole, { allowStreamToken = false } = {}) {
+        return (req, res, next) => {
+            const settings = this.getSettings();
+            let principal;
+            if (!settings.enabled) {
+                principal = { name: 'anonymous', role: 'admin' };
+            } else if (this.extractKey(req)) {
+                // A wrong key is never downgraded to anonymous access
+                principal = this.authenticate(req);
+            } else if (allowStreamToken && req.query?.token) {
+                principal = this.redeemStreamToken(String(req.query.token));
+            } else if (settings.anonymousRole) {
+                principal = { name: 'anonymous', role: settings.anonymousRole };
+            }
+
+            if (!principal) {
+                this.audit(req, null, 401);
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            if (!this.hasRole(principal.role, requiredRole)) {
+                this.audit(req, principal, 403);
+                return res.status(403).json({ error: `Requires ${requiredRole} role` });
+            }
+
+            req.principal = principal;
+            if (!READ_METHODS.includes(req.method)) {
+                res.on('finish', () => this.audit(req, principal, res.statusCode));
+            }
+            next();
+        };
+    }
+
+    audit(req, principal, status) {
+        // Reads are only worth recording when they were refused
+        if (READ_METHODS.includes(req.method) && status < 400) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            principal: principal ? principal.name : null,
+            role: principal ? principal.role : null,
+            method: req.method,
+            path: req.originalUrl || req.url,
+            status,
+            ip: req.ip
+        };
+
+        this.auditLog.push(entry);
+        if (this.auditLog.length > this.maxAuditEntries) {
+            this.auditLog.shift();
+        }
+
+        console.log(`🔐 Audit: ${entry.principal || 'unauthenticated'} ${entry.method} ${entry.path} → ${status}`);
+        this.writeAuditEntry(entry);
+    }
+
+    async writeAuditEntry(entry) {
+        try {
+            await fs.mkdir(path.dirname(this.auditLogPath), { recursive: true });
+            await fs.appendFile(this.auditLogPath, JSON.stringify(entry) + '\n', 'utf8');
+        } catch (error) {
+            console.warn('⚠️ Failed to write audit log:', error.message);
+        }
+    }
+
+    getAuditLog(limit = 50) {
+        return this.auditLog.slice(-limit);
+    }
+
+    getAuthStatus() {
+        const settings = this.getSettings();
+        return {
+            enabled: settings.enabled,
+            anonymousRole: settings.anonymousRole,
+            principals: this.principals.map(principal => ({
+                name: principal.name,
+                role: this.getEffectiveRole(principal),
+                source: principal.source
+            })),
+            auditEntries: this.auditLog.length
+        };
+    }
+}
+
+module.exports = AuthManager;
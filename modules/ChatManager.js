@@ -1,4 +1,16 @@
 // modules/ChatManager.js - Fixed version to resolve string buffer errors
+
+const AI_REPLY_TIMEOUT = 8000; // players won't wait longer than this for an answer
+const CHAT_MAX_OUTPUT_TOKENS = 80; // ~100 characters of chat, with room for the model to finish a sentence
+const QUOTA_BACKOFF = 300000;
+
+// Outbound queue
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+const STALE_AFTER = { high: Infinity, normal: 60000, low: 20000 }; // ms a message may wait before it's pointless
+const MAX_QUEUE_LENGTH = 30;
+const MAX_PARTS = 5;
+const DEDUP_WINDOW = 30000; // the same normal/low broadcast isn't repeated within this long
+
 class ChatManager {
     constructor(bot) {
         this.bot = bot;
@@ -14,13 +26,27 @@ class ChatManager {
         };
         
         // Add message validation and formatting
-        this.maxMessageLength = 100; // Minecraft chat limit
+        this.maxMessageLength = bot.config?.chatMaxMessageLength || 100; // longer messages are split into parts
         this.messageQueue = [];
         this.isProcessingQueue = false;
+        this.queueSeq = 0;
+        this.lastSentAt = 0;
+        this.recentlySent = new Map(); // dedup key -> sent at
+        this.queueStats = { sent: 0, deduplicated: 0, dropped: 0, split: 0 };
+        
+        // Gemini replies are capped per hour and paused after quota errors
+        this.aiBudget = { calls: [], pausedUntil: 0 };
+        this.replyStats = { model: 0, fallback: 0, lastFallbackReason: null };
+
+        // Whatever queued up while we were reconnecting goes out once we're back
+        if (typeof bot.on === 'function') {
+            bot.on('connected', () => this.processQueue());
+        }
     }
 
-    // Fixed method to safely send chat messages
-    async sendChatSafely(message) {
+    // Fixed method to safely send chat messages - to one player only when `player` is given.
+    // Resolves once the message is queued, or once it is sent with options.wait.
+    async sendChatSafely(message, player = null, options = {}) {
         try {
             // Validate and sanitize the message
             if (!message || typeof message !== 'string') {
@@ -58,47 +84,217 @@ class ChatManager {
                 return false;
             }
 
-            // Truncate if too long
-            if (cleanMessage.length > this.maxMessageLength) {
-                cleanMessage = cleanMessage.substring(0, this.maxMessageLength - 3) + '...';
+            return await this.queueMessage(cleanMessage, { ...options, player });
+
+        } catch (error) {
+            console.error('❌ Failed to send chat message:', error);
+            console.error('❌ Message that failed:', message);
+            return false;
+        }
+    }
+
+    // Outbound queue - the only path to the server's chat, so bursts from different managers
+    // are spaced by CHAT_COOLDOWN instead of getting the bot kicked for spam
+    async queueMessage(message, { player = null, priority = 'normal', wait = false } = {}) {
+        if (!(priority in PRIORITIES)) priority = 'normal';
+        const key = `${player ? player.toLowerCase() : ''}|${message.toLowerCase().replace(/\s+/g, ' ')}`;
+
+        // The same line already waiting - send it once, as urgently as either caller wanted
+        const queued = this.messageQueue.find(entry => entry.key === key);
+        if (queued) {
+            if (PRIORITIES[priority] < PRIORITIES[queued.priority]) queued.priority = priority;
+            this.queueStats.deduplicated++;
+            return wait ? await queued.delivered : true;
+        }
+
+        // Only unprompted broadcasts are repeat-suppressed - answers to a player's command or
+        // whisper, and anything sent as high priority, go out every time they're asked for
+        const lastSent = !player && priority !== 'high' ? this.recentlySent.get(key) : null;
+        if (lastSent && Date.now() - lastSent < DEDUP_WINDOW) {
+            this.queueStats.deduplicated++;
+            if (this.bot.config?.debugMode) {
+                console.log(`💬 Skipped repeated chat line: ${message}`);
             }
+            return false;
+        }
+
+        const entry = {
+            seq: ++this.queueSeq,
+            key,
+            player,
+            priority,
+            parts: this.splitMessage(message),
+            createdAt: Date.now()
+        };
+        entry.delivered = new Promise(resolve => { entry.resolve = resolve; });
+        if (entry.parts.length > 1) this.queueStats.split++;
+
+        this.messageQueue.push(entry);
+        this.trimQueue();
+        this.processQueue();
+
+        return wait ? await entry.delivered : true;
+    }
 
-            // Use the bot's native chat method with error handling
-            if (this.bot && typeof this.bot.chat === 'function') {
-                await this.bot.chat(cleanMessage);
-                console.log(`💬 Chat sent: ${cleanMessage}`);
-                
-                // Emit event for tracking
-                if (this.bot.emit) {
-                    this.bot.emit('chat_sent', cleanMessage);
+    // Over the cap, the least important (then oldest) message goes
+    trimQueue() {
+        while (this.messageQueue.length > MAX_QUEUE_LENGTH) {
+            const victim = this.messageQueue.reduce((worst, entry) =>
+                PRIORITIES[entry.priority] > PRIORITIES[worst.priority] ? entry : worst);
+            this.dropQueued(victim, 'queue full');
+        }
+    }
+
+    dropQueued(entry, reason) {
+        this.messageQueue = this.messageQueue.filter(item => item !== entry);
+        this.queueStats.dropped++;
+        console.warn(`⚠️ Dropped ${entry.priority} chat message (${reason}): ${entry.parts.join(' ').substring(0, 60)}`);
+        entry.resolve(false);
+    }
+
+    async processQueue() {
+        if (this.isProcessingQueue) return;
+        this.isProcessingQueue = true;
+
+        try {
+            let entry;
+            // Paused while disconnected; the 'connected' listener starts it again
+            while (this.bot.connected && (entry = this.nextQueuedMessage())) {
+                let sent = false;
+                // Parts of one message go out back to back - nothing cuts in between them
+                while (entry.parts.length > 0) {
+                    await this.waitForCooldown();
+                    sent = await this.deliver(entry.player, entry.parts[0]);
+                    this.lastSentAt = Date.now();
+                    if (!sent) break;
+                    entry.parts.shift();
                 }
-                
-                return true;
-            } else {
-                console.error('❌ Bot chat method not available');
-                return false;
+
+                // Lost the connection mid-send - keep the rest for when we're back
+                if (!sent && !this.bot.connected) {
+                    this.messageQueue.push(entry);
+                    break;
+                }
+
+                if (sent) {
+                    this.queueStats.sent++;
+                    this.rememberSent(entry.key);
+                }
+                entry.resolve(sent);
             }
+        } finally {
+            this.isProcessingQueue = false;
+        }
+    }
+
+    // Highest priority first, oldest first within a priority; stale chatter is dropped
+    nextQueuedMessage() {
+        const now = Date.now();
+        this.messageQueue
+            .filter(entry => now - entry.createdAt > STALE_AFTER[entry.priority])
+            .forEach(entry => this.dropQueued(entry, 'stale'));
 
+        if (this.messageQueue.length === 0) return null;
+        const next = this.messageQueue.reduce((best, entry) =>
+            PRIORITIES[entry.priority] < PRIORITIES[best.priority] ||
+            (entry.priority === best.priority && entry.seq < best.seq) ? entry : best);
+        this.messageQueue = this.messageQueue.filter(entry => entry !== next);
+        return next;
+    }
+
+    async waitForCooldown() {
+        const cooldown = this.bot.config?.chatCooldown ?? 2000;
+        const remaining = this.lastSentAt + cooldown - Date.now();
+        if (remaining > 0) {
+            await new Promise(resolve => setTimeout(resolve, remaining));
+        }
+    }
+
+    // bot.writeChat / bot.writePrivate put the packet on the wire (see setupSafeChatMethod)
+    async deliver(player, text) {
+        try {
+            const write = player ? this.bot.writePrivate : this.bot.writeChat;
+            if (typeof write !== 'function') {
+                console.error(`❌ Bot ${player ? 'private message' : 'chat'} method not available`);
+                return false;
+            }
+            return await (player ? write.call(this.bot, player, text) : write.call(this.bot, text));
         } catch (error) {
             console.error('❌ Failed to send chat message:', error);
-            console.error('❌ Message that failed:', message);
-            
-            // Try a fallback simple message
-            try {
-                if (this.bot && typeof this.bot.chat === 'function') {
-                    await this.bot.chat('Bot message failed to send properly');
+            return false;
+        }
+    }
+
+    rememberSent(key) {
+        const now = Date.now();
+        this.recentlySent.set(key, now);
+        this.recentlySent.forEach((sentAt, sentKey) => {
+            if (now - sentAt >= DEDUP_WINDOW) this.recentlySent.delete(sentKey);
+        });
+    }
+
+    // Word-aware split into "(1/3) ..." parts that each fit the chat limit
+    splitMessage(message) {
+        const limit = this.maxMessageLength;
+        // A /command split in two would run half a command
+        if (message.length <= limit || message.startsWith('/')) return [message];
+
+        const room = limit - `(${MAX_PARTS}/${MAX_PARTS}) `.length;
+        const chunks = [];
+        let current = '';
+        message.split(' ').filter(Boolean).forEach(word => {
+            // Words longer than a whole part are cut where they must be
+            while (word.length > room) {
+                if (current) {
+                    chunks.push(current);
+                    current = '';
                 }
-            } catch (fallbackError) {
-                console.error('❌ Even fallback message failed:', fallbackError);
+                chunks.push(word.slice(0, room));
+                word = word.slice(room);
             }
-            
-            return false;
+            if (!current) {
+                current = word;
+            } else if (current.length + 1 + word.length <= room) {
+                current += ` ${word}`;
+            } else {
+                chunks.push(current);
+                current = word;
+            }
+        });
+        if (current) chunks.push(current);
+
+        if (chunks.length > MAX_PARTS) {
+            console.warn(`⚠️ Chat message needs ${chunks.length} parts - sending the first ${MAX_PARTS}`);
+            chunks.length = MAX_PARTS;
+            const last = chunks[MAX_PARTS - 1];
+            chunks[MAX_PARTS - 1] = last.length + 3 > room ? `${last.slice(0, room - 3)}...` : `${last}...`;
         }
+
+        return chunks.map((chunk, index) => `(${index + 1}/${chunks.length}) ${chunk}`);
+    }
+
+    getQueueStatus() {
+        return {
+            length: this.messageQueue.length,
+            processing: this.isProcessingQueue,
+            paused: !this.bot.connected,
+            cooldownMs: this.bot.config?.chatCooldown ?? 2000,
+            lastSentAt: this.lastSentAt ? new Date(this.lastSentAt).toISOString() : null,
+            pending: this.messageQueue.map(entry => ({
+                priority: entry.priority,
+                private: !!entry.player,
+                parts: entry.parts.length,
+                preview: entry.parts[0].substring(0, 60)
+            })),
+            stats: { ...this.queueStats }
+        };
     }
 
     async handleChatMessage(packet) {
         try {
-            const { message, source_name: playerName, type } = packet;
+            const incoming = this.parseIncoming(packet);
+            if (!incoming) return;
+            const { playerName, message, isPrivate } = incoming;
             
             // Validate packet data
             if (!playerName || !message) {
@@ -110,29 +306,78 @@ class ChatManager {
             if (playerName === this.bot.config?.username) return;
             
             // Store chat in history
-            this.addToHistory(playerName, message);
+            this.addToHistory(playerName, message, isPrivate);
             
             // Log the message
-            console.log(`💬 ${playerName}: ${message}`);
+            console.log(`${isPrivate ? '🤫' : '💬'} ${playerName}: ${message}`);
+            
+            // Commands are answered by CommandManager, never by the AI
+            const commands = this.bot.commandManager;
+            if (commands && commands.isCommand(message)) {
+                await commands.handleCommand(playerName, message, { isPrivate });
+                return;
+            }
+            
+            this.bot.playerMemoryManager?.recordTurn(playerName, 'player', message);
             
             // Analyze player behavior for learning
             this.analyzePlayerBehavior(playerName, message);
             
             // Check if bot should respond
-            if (this.shouldRespond(message, playerName)) {
-                await this.generateAIResponse(playerName, message);
+            if (this.shouldRespond(message, playerName, isPrivate)) {
+                await this.generateAIResponse(playerName, message, isPrivate);
             }
         } catch (error) {
             console.error('❌ Error handling chat message:', error);
         }
     }
 
-    addToHistory(playerName, message) {
+    // Whispers arrive as whisper packets, as the server's /tell translation, or as
+    // "/tell <bot> ..." text relayed by chat plugins. Returns null for anything not for us.
+    parseIncoming(packet) {
+        if (!packet) return null;
+        const { type, message, source_name: sourceName, parameters = [] } = packet;
+        const username = this.bot.config?.username;
+
+        switch (type) {
+            case 'whisper':
+                return { playerName: sourceName, message, isPrivate: true };
+
+            case 'translation':
+                if (/commands\.message\.display\.incoming/.test(message || '')) {
+                    return { playerName: parameters[0], message: parameters[1], isPrivate: true };
+                }
+                return null;
+
+            case 'chat':
+            case undefined: {
+                const tell = /^\/(?:tell|msg|w|whisper)\s+("[^"]+"|\S+)\s+([\s\S]+)$/i.exec((message || '').trim());
+                if (tell) {
+                    const target = tell[1].replace(/"/g, '');
+                    if (!username || target.toLowerCase() !== username.toLowerCase()) return null;
+                    return { playerName: sourceName, message: tell[2].trim(), isPrivate: true };
+                }
+                return { playerName: sourceName, message, isPrivate: false };
+            }
+
+            // System, popup and json messages aren't from players
+            default:
+                return null;
+        }
+    }
+
+    // Private replies use /tell - see safeSendPrivate in Slaydragon.js
+    async sendPrivate(playerName, message, options = {}) {
+        return await this.sendChatSafely(message, playerName, options);
+    }
+
+    addToHistory(playerName, message, isPrivate = false) {
         try {
             this.chatHistory.push({
                 timestamp: Date.now(),
                 player: playerName,
-                message: message
+                message: message,
+                ...(isPrivate && { private: true })
             });
             
             // Keep history manageable
@@ -144,13 +389,16 @@ class ChatManager {
         }
     }
 
-    shouldRespond(message, playerName) {
+    shouldRespond(message, playerName, isPrivate = false) {
         try {
             const now = Date.now();
             
             // Don't spam responses
             if (now - this.lastAIResponse < this.aiCooldown) return false;
             
+            // Whispers are always meant for us
+            if (isPrivate) return true;
+            
             const lowerMessage = message.toLowerCase();
             
             // Respond to direct mentions or dragon-related queries
@@ -158,7 +406,8 @@ class ChatManager {
                 this.bot.config?.username?.toLowerCase() || 'dragonslayerbot',
                 'dragon', 'ender', 'end', 'portal',
                 'help', 'strategy', 'plan', 'ready',
-                'items', 'gear', 'preparation', 'bot'
+                'items', 'gear', 'preparation', 'bot',
+                'time', 'night', 'weather', 'rain'
             ];
             
             return triggers.some(trigger => lowerMessage.includes(trigger));
@@ -168,23 +417,32 @@ class ChatManager {
         }
     }
 
-    async generateAIResponse(playerName, message) {
+    async generateAIResponse(playerName, message, isPrivate = false) {
+        // Private messages get private answers
+        const replyTo = isPrivate ? playerName : null;
         try {
             this.lastAIResponse = Date.now();
             
-            const context = this.buildContext(playerName, message);
+            const context = this.buildContext(playerName, message, isPrivate);
             
-            // Create a simpler, more reliable response system
-            const response = this.generateSimpleResponse(playerName, message, context);
+            // Model reply when we can get one, the keyword templates otherwise
+            let response = await this.generateModelResponse(playerName, message, context);
+            if (response) {
+                this.replyStats.model++;
+            } else {
+                response = this.generateSimpleResponse(playerName, message, context);
+                this.replyStats.fallback++;
+            }
             
             if (this.bot.config?.debugMode) {
                 console.log('🧠 Generated response:', response);
             }
             
             // Send the response using our safe method
-            const success = await this.sendChatSafely(response);
+            const success = await this.sendChatSafely(response, replyTo, { priority: 'high' });
             
             if (success) {
+                this.bot.playerMemoryManager?.recordTurn(playerName, 'bot', response);
                 // Learn from the response
                 this.learnFromInteraction(playerName, message, response);
             }
@@ -192,14 +450,139 @@ class ChatManager {
         } catch (error) {
             console.error('❌ AI response generation failed:', error);
             // Fallback response without emojis
-            await this.sendChatSafely("Processing your request. Let me think about our dragon strategy!");
+            await this.sendChatSafely("Processing your request. Let me think about our dragon strategy!", replyTo, { priority: 'high' });
         }
     }
 
+    // Returns null whenever the caller should fall back to a template reply.
+    // bot.generateAIResponse hides failures behind a canned answer, so this talks to the model directly.
+    async generateModelResponse(playerName, message, context) {
+        const model = this.bot.model;
+        if (!model || this.bot.config?.chatAiEnabled === false) return null;
+
+        const unavailable = this.checkAIBudget();
+        if (unavailable) {
+            this.replyStats.lastFallbackReason = unavailable;
+            return null;
+        }
+        this.aiBudget.calls.push(Date.now());
+
+        let timer;
+        try {
+            const request = {
+                contents: [{ role: 'user', parts: [{ text: this.buildReplyPrompt(playerName, message, context) }] }],
+                systemInstruction: this.getPersona(),
+                generationConfig: {
+                    maxOutputTokens: CHAT_MAX_OUTPUT_TOKENS,
+                    temperature: this.bot.config?.aiTemperature ?? 0.7
+                }
+            };
+            const result = await Promise.race([
+                model.generateContent(request),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('Gemini reply timed out')), AI_REPLY_TIMEOUT);
+                })
+            ]);
+
+            const reply = this.fitToChat(result.response.text());
+            if (!reply) {
+                this.replyStats.lastFallbackReason = 'empty reply';
+                return null;
+            }
+            return reply;
+        } catch (error) {
+            // Quota errors mean every call for a while will fail too - stop asking
+            if (error.status === 429 || /429|RESOURCE_EXHAUSTED|quota/i.test(error.message)) {
+                this.aiBudget.pausedUntil = Date.now() + QUOTA_BACKOFF;
+                console.warn(`⚠️ Gemini quota exhausted - template chat replies for ${QUOTA_BACKOFF / 60000} minutes`);
+            } else {
+                console.warn('⚠️ Gemini chat reply failed:', error.message);
+            }
+            this.replyStats.lastFallbackReason = error.message;
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Rolling hourly cap on model replies; returns why the model can't be used, or null
+    checkAIBudget() {
+        const now = Date.now();
+        if (now < this.aiBudget.pausedUntil) return 'quota backoff';
+
+        const limit = this.bot.config?.chatAiMaxPerHour ?? 60;
+        this.aiBudget.calls = this.aiBudget.calls.filter(timestamp => now - timestamp < 3600000);
+        return this.aiBudget.calls.length >= limit ? 'hourly budget exhausted' : null;
+    }
+
+    getPersona() {
+        const name = this.bot.config?.username || 'DragonSlayerBot';
+        const prefix = this.bot.config?.commandPrefix || '!';
+        return `You are ${name}, a Minecraft Bedrock bot on a quest to defeat the Ender Dragon with the players on this server. ` +
+            'You are brave, upbeat and practical, and you speak like a teammate, not an assistant. ' +
+            `Answer in one or two short sentences - the whole reply must fit in ${this.maxMessageLength} characters. ` +
+            'Plain text only: no markdown, no lists, no emojis. Never invent items, coordinates or progress the game state does not show. ' +
+            `If someone asks you to do something, point them to the chat commands (${prefix}help lists them).`;
+    }
+
+    buildReplyPrompt(playerName, message, context) {
+        const mission = context.missionStatus || {};
+        const lines = [
+            'Game state:',
+            `- Mission: ${mission.missionState || 'unknown'}, phase ${mission.currentPhase || 'unknown'}, goal: ${mission.currentGoal || 'none'}`,
+            `- Inventory: ${typeof context.inventory === 'string' ? context.inventory : 'unknown'}`,
+            `- Game mode: ${context.gameMode}, players online: ${context.playerCount}`
+        ];
+        if (context.time) lines.push(`- Time: ${context.time.clock} (${context.time.phase}, day ${context.time.dayCount + 1})`);
+        if (context.weather) lines.push(`- Weather: ${context.weather.thundering ? 'thunderstorm' : context.weather.raining ? 'rain' : 'clear'}`);
+
+        if (context.playerMemory) lines.push('', `What you remember about ${playerName}:`, context.playerMemory);
+
+        const recent = (context.recentChat || []).map(chat => `${chat.player}: ${chat.message}`);
+        if (recent.length > 0) lines.push('', 'Recent chat:', ...recent);
+
+        lines.push('', context.isPrivate
+            ? `Reply privately to ${playerName}, who just whispered to you: "${message}"`
+            : `Reply to ${playerName}, who just said: "${message}"`);
+        return lines.join('\n');
+    }
+
+    // Models like markdown and long answers; chat wants one plain line
+    fitToChat(text) {
+        if (!text || typeof text !== 'string') return null;
+
+        const name = this.bot.config?.username;
+        let reply = text
+            .replace(/[*_`#>]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/^["']+|["']+$/g, '');
+        if (name && reply.toLowerCase().startsWith(`${name.toLowerCase()}:`)) {
+            reply = reply.slice(name.length + 1).trim();
+        }
+        if (reply.length <= this.maxMessageLength) return reply || null;
+
+        // Cut at the last full sentence that fits, else at a word boundary
+        const slice = reply.slice(0, this.maxMessageLength);
+        const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('! '), slice.lastIndexOf('? '));
+        if (sentenceEnd > this.maxMessageLength / 2) return slice.slice(0, sentenceEnd + 1);
+
+        const wordEnd = slice.lastIndexOf(' ', this.maxMessageLength - 3);
+        return `${slice.slice(0, wordEnd > 0 ? wordEnd : this.maxMessageLength - 3)}...`;
+    }
+
     generateSimpleResponse(playerName, message, context) {
         const lowerMessage = message.toLowerCase();
         
         // Simple response logic without complex AI
+        if (lowerMessage.includes('time') || lowerMessage.includes('night')) {
+            return this.describeTime(playerName);
+        }
+        
+        if (lowerMessage.includes('weather') || lowerMessage.includes('rain')) {
+            return this.describeWeather();
+        }
+        
         if (lowerMessage.includes('help')) {
             return `Hi ${playerName}! I'm here to help defeat the Ender Dragon. Need gear or strategy tips?`;
         }
@@ -224,16 +607,44 @@ class ChatManager {
         return `Hello ${playerName}! I'm DragonSlayerBot. Ask me about dragon strategy, gear, or say 'help'!`;
     }
 
-    buildContext(playerName, message) {
+    describeTime(playerName) {
+        const time = this.bot.time;
+        if (!time) {
+            return `Sorry ${playerName}, I haven't synced the world clock yet.`;
+        }
+        
+        const advice = {
+            day: 'Good time to travel and gather.',
+            dusk: 'Night is coming - mobs will spawn soon!',
+            night: 'Mobs are out - stay close and stay lit!',
+            dawn: 'Sunrise soon, hold on!'
+        };
+        return `It's ${time.clock} (${time.phase}, day ${time.dayCount + 1}). ${advice[time.phase]}`;
+    }
+
+    describeWeather() {
+        const weather = this.bot.weather;
+        if (!weather) return `I can't tell what the weather is yet.`;
+        if (weather.thundering) return `Thunderstorm! Watch out for charged creepers and lightning.`;
+        if (weather.raining) return `It's raining. Fire is easier to put out, but visibility is low.`;
+        return `Clear skies right now!`;
+    }
+
+    buildContext(playerName, message, isPrivate = false) {
         try {
             return {
                 playerName,
                 message,
+                isPrivate,
                 missionStatus: this.bot.missionManager?.getCurrentStatus() || 'preparing',
                 inventory: this.bot.inventoryManager?.getInventoryStatus() || 'unknown',
                 gameMode: this.bot.gameplayManager?.currentGameMode || 'survival',
+                time: this.bot.time,
+                weather: this.bot.weather,
                 playerCount: this.bot.players?.size || 1,
-                recentChat: this.chatHistory.slice(-5),
+                // Other players' whispers stay out of the prompt
+                recentChat: this.chatHistory.filter(chat => !chat.private || chat.player === playerName).slice(-5),
+                playerMemory: this.bot.playerMemoryManager?.getPromptContext(playerName) || null,
                 learningData: this.learningData
             };
         } catch (error) {
@@ -268,15 +679,20 @@ class ChatManager {
             
             // Analyze message topics
             const lowerMessage = message.toLowerCase();
+            const topics = [];
             if (lowerMessage.includes('help') || lowerMessage.includes('how')) {
-                playerData.topics.push('seeking_help');
+                topics.push('seeking_help');
             }
             if (lowerMessage.includes('dragon') || lowerMessage.includes('end')) {
-                playerData.topics.push('mission_focused');
+                topics.push('mission_focused');
             }
             if (lowerMessage.includes('ready') || lowerMessage.includes('go')) {
-                playerData.topics.push('action_oriented');
+                topics.push('action_oriented');
             }
+            playerData.topics.push(...topics);
+            
+            // The Map only lives for this session - PlayerMemoryManager keeps the counts
+            this.bot.playerMemoryManager?.noteTopics(playerName, topics);
         } catch (error) {
             console.error('❌ Error analyzing player behavior:', error);
         }
@@ -329,7 +745,8 @@ class ChatManager {
             return {
                 recentMessages: recentChats,
                 activePlayers: [...new Set(recentChats.map(chat => chat.player))],
-                topics: this.extractTopics(recentChats)
+                topics: this.extractTopics(recentChats),
+                replies: { ...this.replyStats }
             };
         } catch (error) {
             console.error('❌ Error getting chat summary:', error);
@@ -368,15 +785,18 @@ class ChatManager {
     }
 
     // Emergency broadcast method with better error handling
-    async broadcastToAllPlayers(message) {
+    async broadcastToAllPlayers(message, options = {}) {
         console.log(`📢 Broadcasting: ${message}`);
-        return await this.sendChatSafely(message);
+        return await this.sendChatSafely(message, null, options);
     }
 
     // Welcome player method referenced in EventManager
     async welcomePlayer(playerName) {
-        const welcomeMessage = `Welcome ${playerName}! I'm DragonSlayerBot. Ready to hunt the Ender Dragon together?`;
-        return await this.sendChatSafely(welcomeMessage);
+        const known = this.bot.playerMemoryManager?.getPlayerMemory(playerName);
+        const welcomeMessage = known?.conversations > 0
+            ? `Welcome back ${playerName}! Good to see you again. Ready to hunt the Ender Dragon?`
+            : `Welcome ${playerName}! I'm DragonSlayerBot. Ready to hunt the Ender Dragon together?`;
+        return await this.sendChatSafely(welcomeMessage, null, { priority: 'low' });
     }
 
     // Handle incoming chat method for EventManager
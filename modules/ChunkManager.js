@@ -0,0 +1,470 @@
+// modules/ChunkManager.js - Block/chunk world model decoded from chunk packets
+const fs = require('fs').promises;
+
+// Sub-chunk ranges (in 16-block sections) per dimension
+const DIMENSION_BOUNDS = {
+    overworld: { minCY: -4, maxCY: 20 },
+    nether: { minCY: 0, maxCY: 8 },
+    end: { minCY: 0, maxCY: 16 }
+};
+const DIMENSION_NAMES = ['overworld', 'nether', 'end'];
+
+// Share of MAX_MEMORY_MB the block cache may use before chunks are evicted
+const CACHE_MEMORY_SHARE = 0.25;
+
+// level_chunk sub_chunk_count values that mean "request sub-chunks separately"
+const SUBCHUNK_REQUEST_LIMITLESS = -1;
+const SUBCHUNK_REQUEST_LIMITED = -2;
+
+const LIQUID_BLOCKS = ['water', 'flowing_water', 'lava', 'flowing_lava'];
+
+// Packets worth recording to rebuild the world model offline
+const RECORDED_PACKETS = ['start_game', 'level_chunk', 'subchunk', 'update_block', 'change_dimension'];
+
+class ChunkManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        // "x,z" -> { column, bytes, loadedAt, lastAccess }
+        this.columns = new Map();
+        this.totalBytes = 0;
+        this.dimension = 'overworld';
+        this.recordStream = null;
+
+        this.stats = {
+            columnsLoaded: 0,
+            subChunksLoaded: 0,
+            blockUpdates: 0,
+            evictions: 0,
+            decodeErrors: 0
+        };
+
+        this.available = this.loadChunkLibrary();
+
+        if (this.available && bot.config?.chunkRecordPath) {
+            this.startRecording(bot.config.chunkRecordPath);
+        }
+
+        console.log(`🧱 ChunkManager initialized${this.available ? '' : ' (world model disabled)'}`);
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    loadChunkLibrary() {
+        const version = this.bot.config?.version || '1.20.0';
+        try {
+            this.registry = require('prismarine-registry')(`bedrock_${version}`);
+            this.ChunkColumn = require('prismarine-chunk')(this.registry);
+
+            // Plain palette runtime ids until start_game tells us otherwise
+            this.registry.handleStartGame({ itemstates: [], block_network_ids_are_hashes: false });
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ No block data for Bedrock ${version} - world model disabled:`, error.message);
+            return false;
+        }
+    }
+
+    // Entry point for live and recorded packets alike
+    async handlePacket(name, packet) {
+        if (!this.available) return;
+
+        if (this.recordStream && RECORDED_PACKETS.includes(name)) {
+            this.recordPacket(name, packet);
+        }
+
+        try {
+            switch (name) {
+                case 'start_game':
+                    this.handleStartGame(packet);
+                    break;
+                case 'change_dimension':
+                    this.setDimension(this.normalizeDimension(packet.dimension));
+                    break;
+                case 'level_chunk':
+                    await this.handleLevelChunk(packet);
+                    break;
+                case 'subchunk':
+                    await this.handleSubChunk(packet);
+                    break;
+                case 'update_block':
+                    this.handleUpdateBlock(packet);
+                    break;
+            }
+        } catch (error) {
+            this.stats.decodeErrors++;
+            if (this.bot.config?.debugMode) {
+                console.error(`❌ Failed to decode ${name}:`, error.message);
+            }
+        }
+    }
+
+    handleStartGame(packet) {
+        this.registry.handleStartGame({
+            itemstates: [],
+            block_network_ids_are_hashes: !!packet.block_network_ids_are_hashes
+        });
+        this.setDimension(this.normalizeDimension(packet.dimension));
+    }
+
+    setDimension(dimension) {
+        // Chunks from the previous dimension (or session) are useless now
+        this.clear();
+        this.dimension = dimension;
+    }
+
+    async handleLevelChunk(packet) {
+        if (packet.cache_enabled) {
+            // We tell the server we have no blob cache, so this shouldn't happen
+            return;
+        }
+        if (this.normalizeDimension(packet.dimension) !== this.dimension) return;
+
+        const column = this.createColumn(packet.x, packet.z);
+        const count = packet.sub_chunk_count;
+
+        await column.networkDecodeNoCache(packet.payload, count);
+        this.storeColumn(column);
+        this.stats.columnsLoaded++;
+
+        if (count === SUBCHUNK_REQUEST_LIMITLESS || count === SUBCHUNK_REQUEST_LIMITED) {
+            const highest = count === SUBCHUNK_REQUEST_LIMITED ? packet.highest_subchunk_count : null;
+            this.requestSubChunks(packet.x, packet.z, packet.dimension, highest);
+        }
+    }
+
+    requestSubChunks(x, z, dimension, highest) {
+        if (!this.bot.client || !this.bot.connected) return;
+
+        const bounds = this.getBounds();
+        const top = highest !== null && highest !== undefined ? bounds.minCY + highest : bounds.maxCY;
+        const requests = [];
+        for (let dy = bounds.minCY; dy < top; dy++) {
+            requests.push({ dx: 0, dy, dz: 0 });
+        }
+        if (requests.length === 0) return;
+
+        try {
+            this.bot.client.write('subchunk_request', {
+                dimension,
+                origin: { x, y: 0, z },
+                requests
+            });
+        } catch (error) {
+            console.error('❌ Failed to request sub-chunks:', error.message);
+        }
+    }
+
+    async handleSubChunk(packet) {
+        if (packet.cache_enabled) return;
+
+        const origin = packet.origin;
+        const touched = new Set();
+
+        for (const entry of packet.entries || []) {
+            if (entry.result !== 'success') continue;
+
+            const x = origin.x + entry.dx;
+            const z = origin.z + entry.dz;
+            const key = this.getKey(x, z);
+            let record = this.columns.get(key);
+            if (!record) {
+                this.storeColumn(this.createColumn(x, z));
+                record = this.columns.get(key);
+                if (!record) continue; // Too far away to keep
+            }
+
+            await record.column.networkDecodeSubChunkNoCache(origin.y + entry.dy, entry.payload);
+            this.stats.subChunksLoaded++;
+            touched.add(key);
+        }
+
+        touched.forEach(key => this.updateColumnSize(key));
+        this.enforceMemoryBudget();
+    }
+
+    handleUpdateBlock(packet) {
+        // Layer 1 is waterlogging; the block itself lives on layer 0
+        if (packet.layer && packet.layer !== 0) return;
+
+        const pos = packet.position;
+        const record = this.columns.get(this.getKey(pos.x >> 4, pos.z >> 4));
+        if (!record) return;
+
+        const block = this.registry.blocksByRuntimeId[packet.block_runtime_id];
+        if (!block) return;
+
+        record.column.setBlockStateId(this.toLocal(pos), block.stateId);
+        this.stats.blockUpdates++;
+    }
+
+    createColumn(x, z) {
+        const column = new this.ChunkColumn({ x, z });
+        const bounds = this.getBounds();
+        column.setBounds(bounds.minCY, bounds.maxCY);
+        return column;
+    }
+
+    storeColumn(column) {
+        const key = this.getKey(column.x, column.z);
+        const existing = this.columns.get(key);
+        if (existing) this.totalBytes -= existing.bytes;
+
+        const bytes = this.estimateColumnBytes(column);
+        this.columns.set(key, { column, bytes, loadedAt: Date.now(), lastAccess: Date.now() });
+        this.totalBytes += bytes;
+
+        this.enforceMemoryBudget();
+    }
+
+    updateColumnSize(key) {
+        const record = this.columns.get(key);
+        if (!record) return;
+
+        const bytes = this.estimateColumnBytes(record.column);
+        this.totalBytes += bytes - record.bytes;
+        record.bytes = bytes;
+    }
+
+    // Rough size: packed block storage, light arrays and palette entries per section
+    estimateColumnBytes(column) {
+        let bytes = 2048;
+        for (const section of column.sections) {
+            if (!section) continue;
+            for (const storage of section.blocks || []) {
+                bytes += storage.array ? storage.array.byteLength : 0;
+            }
+            bytes += 4096; // block + sky light
+            for (const palette of section.palette || []) {
+                bytes += (palette ? palette.length : 0) * 64;
+            }
+        }
+        return bytes;
+    }
+
+    getMemoryBudget() {
+        const maxMemoryMb = this.bot.config?.maxMemoryUsage || 512;
+        return maxMemoryMb * 1024 * 1024 * CACHE_MEMORY_SHARE;
+    }
+
+    // Drop the chunks furthest from the bot until we are back under budget
+    enforceMemoryBudget() {
+        const budget = this.getMemoryBudget();
+        if (this.totalBytes <= budget) return 0;
+
+        const center = this.bot.position || { x: 0, z: 0 };
+        const cx = Math.floor(center.x) >> 4;
+        const cz = Math.floor(center.z) >> 4;
+        const byDistance = Array.from(this.columns.entries())
+            .map(([key, record]) => ({
+                key,
+                record,
+                distance: Math.max(Math.abs(record.column.x - cx), Math.abs(record.column.z - cz))
+            }))
+            .sort((a, b) => b.distance - a.distance);
+
+        let evicted = 0;
+        const target = budget * 0.9;
+        for (const { key, record } of byDistance) {
+            if (this.totalBytes <= target) break;
+            this.columns.delete(key);
+            this.totalBytes -= record.bytes;
+            evicted++;
+        }
+
+        this.stats.evictions += evicted;
+        if (evicted > 0 && this.bot.config?.debugMode) {
+            console.log(`🧱 Evicted ${evicted} chunks (cache ${(this.totalBytes / 1048576).toFixed(1)}MB)`);
+        }
+        return evicted;
+    }
+
+    clear() {
+        this.columns.clear();
+        this.totalBytes = 0;
+    }
+
+    // Query API
+
+    isLoaded(pos) {
+        return this.columns.has(this.getKey(Math.floor(pos.x) >> 4, Math.floor(pos.z) >> 4));
+    }
+
+    getBlockStateId(pos) {
+        const x = Math.floor(pos.x);
+        const y = Math.floor(pos.y);
+        const z = Math.floor(pos.z);
+
+        const record = this.columns.get(this.getKey(x >> 4, z >> 4));
+        if (!record) return null;
+
+        const column = record.column;
+        if (y < column.minY || y >= column.maxY) return null;
+
+        record.lastAccess = Date.now();
+        return column.getBlockStateId(this.toLocal({ x, y, z }));
+    }
+
+    // Returns null when the chunk isn't loaded - unknown is not the same as air
+    getBlock(pos) {
+        const stateId = this.getBlockStateId(pos);
+        if (stateId === null || stateId === undefined) return null;
+
+        const block = this.registry.blocksByStateId[stateId];
+        const name = block ? block.name : 'unknown';
+        return {
+            name,
+            stateId,
+            position: { x: Math.floor(pos.x), y: Math.floor(pos.y), z: Math.floor(pos.z) },
+            solid: this.isSolidState(stateId),
+            liquid: LIQUID_BLOCKS.includes(name)
+        };
+    }
+
+    isSolid(pos) {
+        const stateId = this.getBlockStateId(pos);
+        return stateId !== null && stateId !== undefined && this.isSolidState(stateId);
+    }
+
+    isLiquid(pos) {
+        const block = this.getBlock(pos);
+        return !!block && block.liquid;
+    }
+
+    isSolidState(stateId) {
+        const block = this.registry.blocksByStateId[stateId];
+        return !!block && block.boundingBox === 'block';
+    }
+
+    /**
+     * Find blocks around a point.
+     * matching: block name, list of names, or predicate (block) => boolean
+     */
+    findBlocks({ matching, point = this.bot.position, maxDistance = 16, count = 1 } = {}) {
+        if (!point || matching === undefined) return [];
+
+        const matches = this.createMatcher(matching);
+        const radius = Math.min(Math.floor(maxDistance), 64);
+        const cx = Math.floor(point.x);
+        const cy = Math.floor(point.y);
+        const cz = Math.floor(point.z);
+        const found = [];
+
+        for (let dx = -radius; dx <= radius; dx++) {
+            for (let dz = -radius; dz <= radius; dz++) {
+                if (!this.isLoaded({ x: cx + dx, z: cz + dz })) continue;
+
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const distanceSq = dx * dx + dy * dy + dz * dz;
+                    if (distanceSq > maxDistance * maxDistance) continue;
+
+                    const block = this.getBlock({ x: cx + dx, y: cy + dy, z: cz + dz });
+                    if (block && matches(block)) {
+                        found.push({ ...block, distance: Math.sqrt(distanceSq) });
+                    }
+                }
+            }
+        }
+
+        return found.sort((a, b) => a.distance - b.distance).slice(0, count);
+    }
+
+    createMatcher(matching) {
+        if (typeof matching === 'function') return matching;
+
+        const names = (Array.isArray(matching) ? matching : [matching])
+            .map(name => String(name).replace('minecraft:', ''));
+        return (block) => names.includes(block.name);
+    }
+
+    // Recording / offline loading
+
+    startRecording(filePath) {
+        const fsSync = require('fs');
+        this.recordStream = fsSync.createWriteStream(filePath, { flags: 'a' });
+        console.log(`🧱 Recording chunk packets to ${filePath}`);
+    }
+
+    stopRecording() {
+        if (this.recordStream) {
+            this.recordStream.end();
+            this.recordStream = null;
+        }
+    }
+
+    recordPacket(name, params) {
+        try {
+            this.recordStream.write(JSON.stringify({ name, params }, this.packetReplacer) + '\n');
+        } catch (error) {
+            console.error('❌ Failed to record packet:', error.message);
+        }
+    }
+
+    // Buffers and BigInts don't survive JSON on their own
+    packetReplacer(key, value) {
+        const raw = this[key];
+        if (Buffer.isBuffer(raw)) return { __type: 'Buffer', data: raw.toString('base64') };
+        if (typeof raw === 'bigint') return { __type: 'BigInt', value: raw.toString() };
+        return value;
+    }
+
+    packetReviver(key, value) {
+        if (value && value.__type === 'Buffer') return Buffer.from(value.data, 'base64');
+        if (value && value.__type === 'BigInt') return BigInt(value.value);
+        return value;
+    }
+
+    async loadRecordedPackets(packets) {
+        for (const packet of packets) {
+            await this.handlePacket(packet.name, packet.params);
+        }
+        return this.getWorldModelStatus();
+    }
+
+    // One JSON packet per line, as written by startRecording()
+    async loadFromFile(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const packets = content
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line, this.packetReviver));
+
+        return await this.loadRecordedPackets(packets);
+    }
+
+    // Helpers
+
+    getKey(x, z) {
+        return `${x},${z}`;
+    }
+
+    toLocal(pos) {
+        return { x: pos.x & 0xf, y: pos.y, z: pos.z & 0xf, l: 0 };
+    }
+
+    getBounds() {
+        return DIMENSION_BOUNDS[this.dimension] || DIMENSION_BOUNDS.overworld;
+    }
+
+    normalizeDimension(dimension) {
+        if (typeof dimension === 'string') return dimension;
+        return DIMENSION_NAMES[dimension] || 'overworld';
+    }
+
+    getWorldModelStatus() {
+        return {
+            available: this.available,
+            dimension: this.dimension,
+            columns: this.columns.size,
+            cacheMB: Math.round(this.totalBytes / 10485.76) / 100,
+            budgetMB: Math.round(this.getMemoryBudget() / 10485.76) / 100,
+            recording: !!this.recordStream,
+            stats: this.stats
+        };
+    }
+}
+
+module.exports = ChunkManager;
@@ -69,6 +69,8 @@ class CombatManager extends EventEmitter {
         this.aiDecisionCache = new Map();
         this.lastAIConsultation = 0;
         this.aiConsultationCooldown = 5000; // 5 seconds
+        this.combatHandlersRegistered = false;
+        this.paused = false; // Set while the mission is paused or aborted
         
         // Combat monitoring
         this.setupCombatMonitoring();
@@ -86,6 +88,10 @@ class CombatManager extends EventEmitter {
     }
 
     setupCombatEventHandlers() {
+        // onConnect runs again after every reconnect - only register once
+        if (this.combatHandlersRegistered) return;
+        this.combatHandlersRegistered = true;
+
         // Health monitoring
         this.bot.on('stats_update', (stats) => {
             this.handleHealthUpdate(stats);
@@ -100,6 +106,20 @@ class CombatManager extends EventEmitter {
             this.handleEntityRemoved(entity);
         });
 
+        this.bot.on('bot_died', () => {
+            this.endCombat('BOT_DIED').catch(error => {
+                console.error('❌ Failed to end combat on death:', error);
+            });
+        });
+
+        this.bot.on('entity_died', (entity) => {
+            this.handleEntityRemoved(entity);
+        });
+
+        this.bot.on('entity_expired', (entity) => {
+            this.handleEntityExpired(entity);
+        });
+
         // Damage events
         this.bot.on('damage_taken', (damage) => {
             this.handleDamageTaken(damage);
@@ -120,7 +140,7 @@ class CombatManager extends EventEmitter {
     setupCombatMonitoring() {
         // Continuous threat assessment
         setInterval(() => {
-            if (this.bot.connected) {
+            if (this.bot.connected && !this.paused) {
                 this.assessThreatLevel();
                 this.updateCombatStrategy();
             }
@@ -128,7 +148,7 @@ class CombatManager extends EventEmitter {
 
         // Combat state machine
         setInterval(() => {
-            if (this.bot.connected) {
+            if (this.bot.connected && !this.paused) {
                 this.processCombatStateMachine();
             }
         }, 100); // High frequency for responsive combat
@@ -165,7 +185,7 @@ class CombatManager extends EventEmitter {
         const botPos = this.bot.position;
         
         for (const [id, entity] of this.bot.entities) {
-            if (this.isHostileEntity(entity)) {
+            if (!entity.dead && this.isHostileEntity(entity)) {
                 const distance = this.calculateDistance(botPos, entity.position || entity);
                 if (distance <= this.config.maxCombatRange) {
                     entities.push({
@@ -234,6 +254,19 @@ class CombatManager extends EventEmitter {
         return 'NONE';
     }
 
+    setPaused(paused) {
+        if (this.paused === paused) return;
+
+        this.paused = paused;
+        if (paused) {
+            this.endCombat('MISSION_PAUSED').catch(error => {
+                console.error('❌ Failed to end combat on pause:', error);
+            });
+            this.threatLevel = 'NONE';
+        }
+        console.log(paused ? '⏸️ Combat loops paused' : '▶️ Combat loops resumed');
+    }
+
     async processCombatStateMachine() {
         if (!this.inCombat && this.threatLevel !== 'NONE') {
             await this.initiateCombat();
@@ -246,6 +279,15 @@ class CombatManager extends EventEmitter {
         const target = this.selectOptimalTarget();
         if (!target) return;
         
+        await this.engageTarget(target);
+    }
+
+    // Also the entry point for operator-ordered attacks, which skip threat assessment
+    async engageTarget(target) {
+        if (this.inCombat) {
+            await this.endCombat('RETARGETED');
+        }
+        
         this.inCombat = true;
         this.currentTarget = target;
         this.combatStartTime = Date.now();
@@ -256,7 +298,7 @@ class CombatManager extends EventEmitter {
         
         this.emit('combat_start', target);
         
-        await this.bot.sendChat(`⚔️ Engaging ${target.type}! Strategy: ${strategy.approach}`);
+        await this.bot.sendChat(`⚔️ Engaging ${target.type}! Strategy: ${strategy.approach}`, { priority: 'low' });
     }
 
     selectOptimalTarget() {
@@ -623,7 +665,7 @@ Respond in concise tactical format.
         }
         
         await this.endCombat('RETREAT');
-        await this.bot.sendChat(`🏃 Strategic retreat executed: ${reason}`);
+        await this.bot.sendChat(`🏃 Strategic retreat executed: ${reason}`, { priority: 'high' });
     }
 
     findSafePosition() {
@@ -664,7 +706,7 @@ Respond in concise tactical format.
 
     isTargetValid(target) {
         const entity = this.bot.entities.get(target.id);
-        if (!entity) return false;
+        if (!entity || entity.dead) return false;
         
         const distance = this.calculateDistance(this.bot.position, entity.position || entity);
         return distance <= this.config.maxCombatRange;
@@ -683,8 +725,28 @@ Respond in concise tactical format.
     }
 
     assessEnvironment() {
-        // Simple environment assessment
-        const y = this.bot.position.y;
+        const chunks = this.managers?.chunks;
+        const pos = this.bot.position;
+        
+        // Use the block world model when the area around us is loaded
+        if (chunks && chunks.isLoaded(pos)) {
+            let blocksOverhead = 0;
+            for (let dy = 2; dy <= 12; dy++) {
+                if (chunks.isSolid({ x: pos.x, y: pos.y + dy, z: pos.z })) blocksOverhead++;
+            }
+            
+            let dropBelow = 0;
+            while (dropBelow < 8 && !chunks.isSolid({ x: pos.x, y: pos.y - 1 - dropBelow, z: pos.z })) {
+                dropBelow++;
+            }
+            
+            if (blocksOverhead >= 3) return { type: 'UNDERGROUND', advantages: ['cover'], disadvantages: ['confined'] };
+            if (dropBelow >= 4) return { type: 'HIGH_ALTITUDE', advantages: ['visibility'], disadvantages: ['fall_risk'] };
+            return { type: 'SURFACE', advantages: ['mobility'], disadvantages: [] };
+        }
+        
+        // Fallback guess from height alone
+        const y = pos.y;
         
         if (y < 10) return { type: 'UNDERGROUND', advantages: ['cover'], disadvantages: ['confined'] };
         if (y > 100) return { type: 'HIGH_ALTITUDE', advantages: ['visibility'], disadvantages: ['fall_risk'] };
@@ -740,6 +802,15 @@ Respond in concise tactical format.
         }
     }
 
+    // Stopped receiving updates - we lost track of it, it wasn't killed
+    handleEntityExpired(entity) {
+        if (this.currentTarget && entity.id === this.currentTarget.id) {
+            this.endCombat('TARGET_LOST').catch(error => {
+                console.error('❌ Failed to end combat on lost target:', error);
+            });
+        }
+    }
+
     recordCombatStart(target) {
         this.combatHistory.push({
             startTime: Date.now(),
@@ -772,6 +843,11 @@ Respond in concise tactical format.
                 this.combatStats.escapes++;
                 this.combatStats.killStreak = 0;
                 break;
+            case 'MISSION_PAUSED':
+            case 'OPERATOR_STOP':
+            case 'RETARGETED':
+                // Broken off on request - neither a win nor a loss
+                break;
             default:
                 this.combatStats.losses++;
                 this.combatStats.killStreak = 0;
@@ -985,11 +1061,10 @@ Respond in concise tactical format.
 
     getTimeOfDayModifier() {
         // Simple day/night cycle consideration
-        if (this.bot.time && this.bot.time.day) {
-            const timeOfDay = this.bot.time.day % 24000;
-            if (timeOfDay > 12000 && timeOfDay < 23000) { // Night time
-                return -0.1; // Slightly more cautious at night
-            }
+        const time = this.bot.time;
+        if (time && (time.phase === 'dusk' || time.phase === 'night')) {
+            // Slightly more cautious at night, more so in a thunderstorm
+            return this.bot.weather?.thundering ? -0.15 : -0.1;
         }
         return 0;
     }
@@ -1102,9 +1177,17 @@ Respond in concise tactical format.
     }
 
     isHazardousEnvironment() {
-        // Check for environmental hazards
-        // This would need actual world scanning implementation
-        return false; // Placeholder
+        // Lava, fire or similar within a few blocks
+        const chunks = this.managers?.chunks;
+        if (!chunks || !chunks.isLoaded(this.bot.position)) return false;
+        
+        const hazards = chunks.findBlocks({
+            matching: ['lava', 'flowing_lava', 'fire', 'soul_fire', 'magma', 'cactus', 'sweet_berry_bush'],
+            point: this.bot.position,
+            maxDistance: 4,
+            count: 1
+        });
+        return hazards.length > 0;
     }
 
     // Advanced retreat logic
@@ -1125,7 +1208,7 @@ Respond in concise tactical format.
         this.setRetreatCooldown(reason);
         
         await this.endCombat('SMART_RETREAT');
-        await this.bot.sendChat(`🧠 Strategic withdrawal: ${reason} (Safety: ${bestRetreat.safety})`);
+        await this.bot.sendChat(`🧠 Strategic withdrawal: ${reason} (Safety: ${bestRetreat.safety})`, { priority: 'high' });
     }
 
     analyzeRetreatOptions(target) {
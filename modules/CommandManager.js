@@ -0,0 +1,333 @@
+// modules/CommandManager.js - In-game chat commands ("!status", "!follow" ...) with permissions and cooldowns
+
+// Each level can run everything the levels before it can
+const PERMISSION_LEVELS = ['everyone', 'trusted', 'admin'];
+
+const DEFAULT_COOLDOWN = 3000; // ms per player per command
+
+// Cooldown slot for the "unknown command" hint - "!a", "!b", "!c"... earn one reply, not three
+const UNKNOWN_COMMAND = { name: '?unknown', cooldown: 10000 };
+
+class CommandManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        this.commands = new Map(); // name -> command
+        this.aliases = new Map(); // alias -> name
+        this.cooldowns = new Map(); // "player:command" -> last use
+
+        this.registerBuiltinCommands();
+
+        console.log(`⌨️ CommandManager initialized (${this.commands.size} commands, prefix "${this.getPrefix()}")`);
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    getPrefix() {
+        return this.bot.config?.commandPrefix || '!';
+    }
+
+    // Registration API - other managers add their own commands through this
+    registerCommand(name, options = {}) {
+        const commandName = String(name || '').toLowerCase();
+        if (!/^[a-z][a-z0-9_-]*$/.test(commandName)) {
+            throw new Error(`Invalid command name: ${name}`);
+        }
+        if (typeof options.handler !== 'function') {
+            throw new Error(`Command ${commandName} needs a handler`);
+        }
+        const permission = options.permission || 'everyone';
+        if (!PERMISSION_LEVELS.includes(permission)) {
+            throw new Error(`Unknown permission level for ${commandName}: ${permission}`);
+        }
+        if (this.commands.has(commandName)) {
+            console.warn(`⚠️ Command ${commandName} registered twice - replacing the earlier handler`);
+            this.unregisterCommand(commandName);
+        }
+
+        const command = {
+            name: commandName,
+            aliases: (options.aliases || []).map(alias => alias.toLowerCase()),
+            description: options.description || '',
+            usage: options.usage || '',
+            permission,
+            cooldown: options.cooldown ?? DEFAULT_COOLDOWN,
+            // Sensitive output (and anything admin-only) is whispered to the caller, never posted in chat
+            privateReply: options.privateReply ?? permission === 'admin',
+            handler: options.handler
+        };
+
+        this.commands.set(commandName, command);
+        command.aliases.forEach(alias => this.aliases.set(alias, commandName));
+        return command;
+    }
+
+    unregisterCommand(name) {
+        const command = this.commands.get(String(name).toLowerCase());
+        if (!command) return false;
+
+        command.aliases.forEach(alias => this.aliases.delete(alias));
+        this.commands.delete(command.name);
+        return true;
+    }
+
+    getCommand(name) {
+        const lowerName = String(name).toLowerCase();
+        return this.commands.get(lowerName) || this.commands.get(this.aliases.get(lowerName)) || null;
+    }
+
+    isCommand(message) {
+        return typeof message === 'string' && message.trim().startsWith(this.getPrefix());
+    }
+
+    // Whitespace-separated arguments; "double quoted" arguments may contain spaces
+    parseArguments(text) {
+        const args = [];
+        const pattern = /"([^"]*)"|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            args.push(match[1] !== undefined ? match[1] : match[2]);
+        }
+        return args;
+    }
+
+    // Permissions
+
+    getPlayerLevel(playerName) {
+        const config = this.bot.config || {};
+        const lowerName = String(playerName).toLowerCase();
+        const listed = (users) => (users || []).some(user => user.trim().toLowerCase() === lowerName);
+
+        if (listed(config.adminUsers)) return 'admin';
+        if (listed(config.trustedUsers)) return 'trusted';
+        return 'everyone';
+    }
+
+    // ALLOWED_COMMANDS lists what any player may run; other "everyone" commands need a trusted player.
+    // It can't open up trusted or admin commands.
+    getEffectivePermission(command) {
+        if (command.permission !== 'everyone') return command.permission;
+
+        const allowed = (this.bot.config?.allowedCommands || []).map(name => name.trim().toLowerCase());
+        return allowed.includes('*') || allowed.includes(command.name) ? 'everyone' : 'trusted';
+    }
+
+    hasPermission(playerName, command) {
+        const required = PERMISSION_LEVELS.indexOf(this.getEffectivePermission(command));
+        return PERMISSION_LEVELS.indexOf(this.getPlayerLevel(playerName)) >= required;
+    }
+
+    // Returns ms left before the player may use the command again
+    getCooldownRemaining(playerName, command) {
+        const lastUsed = this.cooldowns.get(`${playerName.toLowerCase()}:${command.name}`);
+        if (!lastUsed) return 0;
+        return Math.max(0, lastUsed + command.cooldown - Date.now());
+    }
+
+    // Execution
+
+    async handleCommand(playerName, message, { isPrivate = false } = {}) {
+        const body = message.trim().slice(this.getPrefix().length);
+        const [commandName, ...args] = this.parseArguments(body);
+        if (!commandName) return false;
+
+        const command = this.getCommand(commandName);
+        if (!command) {
+            if (this.getCooldownRemaining(playerName, UNKNOWN_COMMAND) === 0) {
+                this.cooldowns.set(`${playerName.toLowerCase()}:${UNKNOWN_COMMAND.name}`, Date.now());
+                await this.reply(playerName, `Unknown command "${commandName}". Type ${this.getPrefix()}help for a list.`, true);
+            }
+            return false;
+        }
+
+        if (!this.hasPermission(playerName, command)) {
+            console.log(`⌨️ ${playerName} denied ${command.name} (needs ${this.getEffectivePermission(command)})`);
+            await this.reply(playerName, `Sorry ${playerName}, ${this.getPrefix()}${command.name} is for ${this.getEffectivePermission(command)} players only.`, true);
+            return false;
+        }
+
+        // Admins aren't rate limited
+        const level = this.getPlayerLevel(playerName);
+        const remaining = level === 'admin' ? 0 : this.getCooldownRemaining(playerName, command);
+        if (remaining > 0) {
+            await this.reply(playerName, `${playerName}, wait ${Math.ceil(remaining / 1000)}s before using ${this.getPrefix()}${command.name} again.`, true);
+            return false;
+        }
+        this.cooldowns.set(`${playerName.toLowerCase()}:${command.name}`, Date.now());
+
+        console.log(`⌨️ ${playerName} ran ${command.name}${args.length ? ` ${args.join(' ')}` : ''}`);
+
+        const privateReply = isPrivate || command.privateReply || this.getEffectivePermission(command) === 'admin';
+        const context = {
+            player: playerName,
+            level,
+            args,
+            command,
+            isPrivate,
+            reply: (text) => this.reply(playerName, text, privateReply)
+        };
+
+        try {
+            const response = await command.handler(context);
+            if (typeof response === 'string' && response.length > 0) {
+                await context.reply(response);
+            }
+            return true;
+        } catch (error) {
+            // Lifecycle and action errors carry a statusCode and a message meant for the caller
+            if (error.statusCode) {
+                await context.reply(error.message);
+            } else {
+                console.error(`❌ Command ${command.name} failed:`, error);
+                await context.reply(`${this.getPrefix()}${command.name} failed - check the bot logs.`);
+            }
+            return false;
+        }
+    }
+
+    // Answers jump the outbound queue - the player is waiting for them
+    async reply(playerName, message, isPrivate = false) {
+        const options = { priority: 'high' };
+        return isPrivate
+            ? await this.bot.sendPrivate(playerName, message, options)
+            : await this.bot.sendChat(message, options);
+    }
+
+    // Built-in commands
+
+    registerBuiltinCommands() {
+        this.registerCommand('help', {
+            aliases: ['commands'],
+            description: 'List commands or show how to use one',
+            usage: '[command]',
+            cooldown: 5000,
+            handler: (ctx) => this.commandHelp(ctx)
+        });
+
+        this.registerCommand('status', {
+            description: 'Mission phase and current goal',
+            handler: () => this.managers.mission.getStatus()
+        });
+
+        this.registerCommand('mission', {
+            description: 'Mission progress through the phases',
+            handler: () => this.managers.mission.getMissionProgress()
+        });
+
+        this.registerCommand('strategy', {
+            description: 'The dragon strategy in use',
+            handler: () => this.managers.mission.getStrategy()
+        });
+
+        this.registerCommand('inventory', {
+            aliases: ['inv'],
+            description: 'Items still needed for this phase',
+            privateReply: true,
+            handler: () => this.managers.inventory.getInventoryStatus()
+        });
+
+        this.registerCommand('restart', {
+            description: 'Start a new dragon mission',
+            permission: 'trusted',
+            cooldown: 30000,
+            handler: (ctx) => this.commandRestart(ctx)
+        });
+
+        this.registerCommand('follow', {
+            description: 'Follow you or another player',
+            usage: '[player]',
+            permission: 'trusted',
+            handler: (ctx) => this.commandFollow(ctx)
+        });
+
+        this.registerCommand('come', {
+            aliases: ['here'],
+            description: 'Walk to where you are standing',
+            permission: 'trusted',
+            handler: (ctx) => this.commandCome(ctx)
+        });
+
+        this.registerCommand('stop', {
+            description: 'Stop moving and following',
+            permission: 'trusted',
+            cooldown: 0,
+            handler: (ctx) => this.commandStop(ctx)
+        });
+    }
+
+    // Only lists what the asking player can actually run
+    commandHelp({ player, args }) {
+        const prefix = this.getPrefix();
+
+        if (args[0]) {
+            const command = this.getCommand(args[0].replace(prefix, ''));
+            if (!command) return `Unknown command "${args[0]}".`;
+            const usage = `${prefix}${command.name}${command.usage ? ` ${command.usage}` : ''}`;
+            return `${usage} - ${command.description} (${this.getEffectivePermission(command)})`;
+        }
+
+        const available = Array.from(this.commands.values())
+            .filter(command => this.hasPermission(player, command))
+            .map(command => command.name);
+        return `Commands: ${available.join(' ')} | ${prefix}help <command>`;
+    }
+
+    commandRestart({ player, level }) {
+        const mission = this.managers.mission;
+        // A mission in progress is too much work to throw away on a trusted player's say-so
+        if (['running', 'paused'].includes(mission.missionState) && level !== 'admin') {
+            return `The mission is still ${mission.missionState} - only admins can restart it now.`;
+        }
+        if (['running', 'paused'].includes(mission.missionState)) {
+            mission.resetMission();
+        }
+
+        mission.restartMission().catch(error => {
+            console.error('❌ Mission restart failed:', error);
+        });
+        console.log(`🔄 Mission restart requested by ${player}`);
+        return null; // restartMission announces itself
+    }
+
+    commandFollow({ player, args }) {
+        const target = args[0] || player;
+        const job = this.managers.actions.follow(target, `chat:${player}`);
+        return `Following ${job.params.player}! Type ${this.getPrefix()}stop to stop.`;
+    }
+
+    commandCome({ player }) {
+        const found = this.managers.players.findPlayerByName(player);
+        if (!found || !found.position) {
+            return `I can't see where you are, ${player}.`;
+        }
+
+        const { x, y, z } = found.position;
+        this.managers.actions.goto({ x, y, z }, `chat:${player}`);
+        return `On my way to you, ${player}!`;
+    }
+
+    commandStop({ player }) {
+        this.managers.actions.stop(`chat:${player}`);
+        return 'Stopped.';
+    }
+
+    getCommandStatus() {
+        return {
+            prefix: this.getPrefix(),
+            commands: Array.from(this.commands.values()).map(command => ({
+                name: command.name,
+                aliases: command.aliases,
+                usage: command.usage,
+                description: command.description,
+                permission: this.getEffectivePermission(command),
+                cooldown: command.cooldown,
+                privateReply: command.privateReply
+            }))
+        };
+    }
+}
+
+module.exports = CommandManager;
@@ -95,6 +95,20 @@ class ConfigManager {
             skipPing: true,
             offlineMode: false,
             
+            // Reconnect Settings
+            reconnectEnabled: getEnv('RECONNECT_ENABLED', true, 'boolean'),
+            reconnectBaseDelay: getEnv('RECONNECT_BASE_DELAY', 5000, 'int'),
+            reconnectMaxDelay: getEnv('RECONNECT_MAX_DELAY', 300000, 'int'),
+            reconnectMaxAttempts: getEnv('RECONNECT_MAX_ATTEMPTS', 10, 'int'), // 0 = unlimited
+            reconnectJitter: getEnv('RECONNECT_JITTER', 0.3, 'number'),
+            connectTimeout: getEnv('CONNECT_TIMEOUT', 30000, 'int'),
+            
+            // Death Handling
+            autoRespawn: getEnv('AUTO_RESPAWN', true, 'boolean'),
+            respawnDelay: getEnv('RESPAWN_DELAY', 1000, 'int'),
+            deathRecoveryEnabled: getEnv('DEATH_RECOVERY_ENABLED', false, 'boolean'),
+            deathRecoveryMaxDistance: getEnv('DEATH_RECOVERY_MAX_DISTANCE', 300, 'int'),
+            
             // AI Configuration - Multiple fallbacks for API key
             geminiApiKey: getEnv('GEMINI_API_KEY') || 
                          getEnv('GEMINI_KEY') || 
@@ -107,7 +121,11 @@ class ConfigManager {
             aiTopK: getEnv('AI_TOP_K', 40, 'int'),
             
             // Bot Behavior
-            chatCooldown: getEnv('CHAT_COOLDOWN', 2000, 'int'),
+            chatCooldown: getEnv('CHAT_COOLDOWN', 2000, 'int'), // ms between outgoing chat messages
+            chatMaxMessageLength: getEnv('CHAT_MAX_MESSAGE_LENGTH', 100, 'int'),
+            chatAiEnabled: getEnv('CHAT_AI_ENABLED', true, 'boolean'),
+            chatAiMaxPerHour: getEnv('CHAT_AI_MAX_PER_HOUR', 60, 'int'),
+            playerMemoryPath: getEnv('PLAYER_MEMORY_PATH', './data/player-memory.json'),
             autoResponse: getEnv('AUTO_RESPONSE', true, 'boolean'),
             learningEnabled: getEnv('LEARNING_ENABLED', true, 'boolean'),
             aggressiveMode: getEnv('AGGRESSIVE_MODE', false, 'boolean'),
@@ -144,6 +162,8 @@ class ConfigManager {
             tickRate: getEnv('TICK_RATE', 20, 'int'),
             maxMemoryUsage: getEnv('MAX_MEMORY_MB', 512, 'int'),
             gcInterval: getEnv('GC_INTERVAL', 60000, 'int'),
+            entityStaleTimeout: getEnv('ENTITY_STALE_TIMEOUT', 300000, 'int'),
+            chunkRecordPath: getEnv('CHUNK_RECORD_PATH', ''),
             
             // Learning System
             learningDataPath: getEnv('LEARNING_DATA_PATH', './data/learning'),
@@ -153,14 +173,34 @@ class ConfigManager {
             // Security Settings
             allowedCommands: getEnv('ALLOWED_COMMANDS') ? getEnv('ALLOWED_COMMANDS').split(',') : ['help', 'status', 'mission'],
             adminUsers: getEnv('ADMIN_USERS') ? getEnv('ADMIN_USERS').split(',') : [],
+            trustedUsers: getEnv('TRUSTED_USERS') ? getEnv('TRUSTED_USERS').split(',') : [],
+            commandPrefix: getEnv('COMMAND_PREFIX', '!'),
             rateLimitEnabled: getEnv('RATE_LIMIT_ENABLED', true, 'boolean'),
             maxRequestsPerMinute: getEnv('MAX_REQUESTS_PER_MINUTE', 30, 'int'),
             
+            // HTTP API Authentication - HTTP_API_KEYS is "name:role:key,name:role:key"
+            apiAuthEnabled: getEnv('API_AUTH_ENABLED', true, 'boolean'),
+            apiKeys: getEnv('HTTP_API_KEYS') ? this.parseApiKeys(getEnv('HTTP_API_KEYS')) : [],
+            apiKeysFile: getEnv('API_KEYS_FILE', './config/api-keys.json'),
+            apiAnonymousRole: getEnv('API_ANONYMOUS_ROLE', ''),
+            auditLogPath: getEnv('AUDIT_LOG_PATH', './data/audit.log'),
+            
             // Advanced Features
             multiServerMode: getEnv('MULTI_SERVER_MODE', false, 'boolean'),
             backupEnabled: getEnv('BACKUP_ENABLED', true, 'boolean'),
             metricsEnabled: getEnv('METRICS_ENABLED', false, 'boolean'),
+            
+            // Health probes - /healthz fails past the lag limit, /readyz re-probes Gemini this often
+            healthMaxEventLoopLag: getEnv('HEALTH_MAX_EVENT_LOOP_LAG', 5000, 'int'),
+            aiHealthCheckInterval: getEnv('AI_HEALTH_CHECK_INTERVAL', 60000, 'int'),
+            aiFallbackEnabled: getEnv('AI_FALLBACK_ENABLED', true, 'boolean'),
             webhookUrl: getEnv('WEBHOOK_URL'),
+            webhookSecret: getEnv('WEBHOOK_SECRET'),
+            webhookEvents: getEnv('WEBHOOK_EVENTS') ? getEnv('WEBHOOK_EVENTS').split(',').map(event => event.trim()) : null,
+            webhookMaxAttempts: getEnv('WEBHOOK_MAX_ATTEMPTS', 8, 'int'),
+            webhookRetryBaseDelay: getEnv('WEBHOOK_RETRY_BASE_DELAY', 5000, 'int'),
+            webhookTimeout: getEnv('WEBHOOK_TIMEOUT', 10000, 'int'),
+            webhookOutboxPath: getEnv('WEBHOOK_OUTBOX_PATH', './data/webhook-outbox.json'),
             
             // Experimental Features
             experimentalFeatures: {
@@ -181,17 +221,33 @@ class ConfigManager {
         return config;
     }
 
+    parseApiKeys(value) {
+        return value.split(',').map(entry => {
+            const [name, role, ...key] = entry.trim().split(':');
+            return { name, role, key: key.join(':') };
+        });
+    }
+
     getValidationRules() {
         return {
             host: { type: 'string', required: true, minLength: 1 },
             port: { type: 'number', min: 1, max: 65535 },
             username: { type: 'string', required: true, minLength: 1, maxLength: 16 },
+            reconnectBaseDelay: { type: 'number', min: 100, max: 600000 },
+            reconnectMaxDelay: { type: 'number', min: 1000, max: 3600000 },
+            reconnectMaxAttempts: { type: 'number', min: 0, max: 1000 },
+            reconnectJitter: { type: 'number', min: 0, max: 1 },
+            connectTimeout: { type: 'number', min: 5000, max: 300000 },
+            respawnDelay: { type: 'number', min: 0, max: 60000 },
+            deathRecoveryMaxDistance: { type: 'number', min: 1, max: 10000 },
             geminiApiKey: { type: 'string', required: true, minLength: 1 },
             maxTokens: { type: 'number', min: 1, max: 8192 },
             aiTemperature: { type: 'number', min: 0, max: 2 },
             aiTopP: { type: 'number', min: 0, max: 1 },
             aiTopK: { type: 'number', min: 1, max: 100 },
             chatCooldown: { type: 'number', min: 0, max: 10000 },
+            chatAiMaxPerHour: { type: 'number', min: 0, max: 3600 },
+            chatMaxMessageLength: { type: 'number', min: 20, max: 256 },
             missionTimeout: { type: 'number', min: 60000, max: 7200000 },
             maxTeamSize: { type: 'number', min: 1, max: 20 },
             combatDistance: { type: 'number', min: 1, max: 10 },
@@ -199,9 +255,17 @@ class ConfigManager {
             pathfindingTimeout: { type: 'number', min: 1000, max: 60000 },
             tickRate: { type: 'number', min: 1, max: 100 },
             maxMemoryUsage: { type: 'number', min: 128, max: 4096 },
+            entityStaleTimeout: { type: 'number', min: 10000, max: 3600000 },
             maxLearningEntries: { type: 'number', min: 100, max: 100000 },
             maxRequestsPerMinute: { type: 'number', min: 1, max: 1000 },
+            healthMaxEventLoopLag: { type: 'number', min: 100, max: 600000 },
+            webhookMaxAttempts: { type: 'number', min: 1, max: 50 },
+            webhookRetryBaseDelay: { type: 'number', min: 100, max: 600000 },
+            webhookTimeout: { type: 'number', min: 1000, max: 120000 },
+            aiHealthCheckInterval: { type: 'number', min: 5000, max: 3600000 },
+            commandPrefix: { type: 'string', required: true, minLength: 1, maxLength: 3 },
             logLevel: { type: 'string', enum: ['error', 'warn', 'info', 'debug'] },
+            apiAnonymousRole: { type: 'string', enum: ['', 'viewer', 'operator', 'admin'] },
             combatStrategy: { type: 'string', enum: ['aggressive', 'defensive', 'balanced'] }
         };
     }
@@ -275,6 +339,9 @@ class ConfigManager {
             if (sanitizedConfig.geminiApiKey) {
                 sanitizedConfig.geminiApiKey = `[${sanitizedConfig.geminiApiKey.length} chars hidden]`;
             }
+            // API keys always come from the environment or the keys file, never from here
+            delete sanitizedConfig.apiKeys;
+            delete sanitizedConfig.webhookSecret;
             
             // Write config to file with pretty formatting
             await fs.writeFile(
@@ -429,7 +496,7 @@ class ConfigManager {
         const publicConfig = { ...this.config };
         
         // Hide sensitive keys
-        const sensitiveKeys = ['geminiApiKey', 'webhookUrl'];
+        const sensitiveKeys = ['geminiApiKey', 'webhookUrl', 'webhookSecret', 'apiKeys'];
         sensitiveKeys.forEach(key => {
             if (publicConfig[key]) {
                 publicConfig[key] = '[HIDDEN]';
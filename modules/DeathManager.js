@@ -0,0 +1,320 @@
+// modules/DeathManager.js - Death detection, auto-respawn and death-point recovery
+const RESPAWN_STATE = {
+    SEARCHING_FOR_SPAWN: 0,
+    READY_TO_SPAWN: 1,
+    CLIENT_READY_TO_SPAWN: 2
+};
+
+// Dropped items despawn 5 minutes after death
+const ITEM_DESPAWN_TIME = 300000;
+
+// Death messages come from the server - player chat is never trusted, whatever it says
+const SERVER_MESSAGE_TYPES = ['translation', 'raw', 'system'];
+
+// Untranslated death messages ("DragonSlayerBot was slain by Zombie")
+const DEATH_PHRASES = [
+    ' was slain', ' was shot', ' was killed', ' was blown up', ' blew up', ' was fireballed',
+    ' was burnt', ' burned to death', ' went up in flames', ' walked into fire', ' tried to swim in lava',
+    ' drowned', ' suffocated', ' starved', ' fell ', ' hit the ground', ' was doomed to fall',
+    ' was impaled', ' was pricked', ' was squashed', ' was struck by lightning', ' froze to death',
+    ' withered away', ' died', ' was pummeled', ' experienced kinetic energy', ' fell out of the world'
+];
+
+class DeathManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        this.dead = false;
+        this.currentDeath = null;
+        this.lastDeath = null;
+        this.deathHistory = [];
+        this.maxHistoryLength = 50;
+        this.finalizeTimer = null;
+        this.respawnTimer = null;
+        this.recoveryInProgress = false;
+
+        // Death messages usually arrive just after the health update
+        this.causeWaitTime = 1000;
+
+        console.log('💀 DeathManager initialized');
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    getSettings() {
+        const config = this.bot.config || {};
+        return {
+            autoRespawn: config.autoRespawn !== false,
+            respawnDelay: config.respawnDelay ?? 1000,
+            recoveryEnabled: !!config.deathRecoveryEnabled,
+            recoveryMaxDistance: config.deathRecoveryMaxDistance || 300
+        };
+    }
+
+    handleHealthUpdate(health) {
+        if (health <= 0) {
+            this.onDeath('health_update');
+        } else if (this.dead) {
+            this.onRespawned(this.bot.position);
+        }
+    }
+
+    handleRespawnPacket(packet) {
+        switch (packet.state) {
+            case RESPAWN_STATE.SEARCHING_FOR_SPAWN:
+                if (!this.dead) {
+                    this.onDeath('respawn_packet');
+                }
+                break;
+            case RESPAWN_STATE.READY_TO_SPAWN:
+                if (this.dead) {
+                    this.sendRespawnPacket(RESPAWN_STATE.CLIENT_READY_TO_SPAWN);
+                    this.onRespawned(packet.position);
+                }
+                break;
+        }
+    }
+
+    handleChatPacket(packet) {
+        const cause = this.parseDeathMessage(packet);
+        if (!cause) return false;
+
+        if (this.currentDeath) {
+            Object.assign(this.currentDeath, cause);
+        } else if (!this.dead) {
+            this.onDeath('death_message', cause);
+        }
+        return true;
+    }
+
+    parseDeathMessage(packet) {
+        const username = this.bot.config?.username;
+        if (!packet || !packet.message || !username) return null;
+        if (!SERVER_MESSAGE_TYPES.includes(packet.type) || packet.source_name) return null;
+
+        // Translated death messages: death.attack.<cause>, parameters [victim, killer, weapon]
+        const key = packet.message.replace(/^%/, '');
+        if (key.startsWith('death.')) {
+            const params = packet.parameters || [];
+            if (params[0] !== username) return null;
+
+            return {
+                cause: key.replace(/^death\.(attack\.)?/, ''),
+                // Mob killers come through as translation keys too (%entity.zombie.name)
+                killer: params[1] ? params[1].replace(/^%entity\.(.+)\.name$/, '$1') : null,
+                message: key
+            };
+        }
+
+        const text = packet.message.replace(/§./g, '');
+        if (!text.startsWith(username + ' ')) return null;
+
+        const phrase = DEATH_PHRASES.find(p => text.includes(p));
+        if (!phrase) return null;
+
+        const byMatch = text.match(/ by (.+?)(?: using .+)?$/);
+        return {
+            cause: phrase.trim(),
+            killer: byMatch ? byMatch[1] : null,
+            message: text
+        };
+    }
+
+    onDeath(source, details = {}) {
+        if (this.dead) return;
+
+        this.dead = true;
+        this.currentDeath = {
+            time: Date.now(),
+            position: this.bot.position ? { ...this.bot.position } : null,
+            dimension: this.bot.worldState?.dimension || 'overworld',
+            cause: 'unknown',
+            killer: null,
+            message: null,
+            detectedBy: source,
+            phase: this.managers.mission?.currentPhase || null,
+            ...details
+        };
+
+        console.log(`💀 Bot died (${source})`);
+
+        this.finalizeTimer = setTimeout(() => {
+            this.finalizeTimer = null;
+            this.finalizeDeath();
+        }, this.causeWaitTime);
+    }
+
+    finalizeDeath() {
+        const death = this.currentDeath;
+        if (!death) return;
+
+        this.currentDeath = null;
+        this.lastDeath = death;
+        this.deathHistory.push(death);
+        if (this.deathHistory.length > this.maxHistoryLength) {
+            this.deathHistory = this.deathHistory.slice(-this.maxHistoryLength);
+        }
+
+        const where = death.position
+            ? `${Math.round(death.position.x)}, ${Math.round(death.position.y)}, ${Math.round(death.position.z)}`
+            : 'unknown location';
+        console.log(`💀 Death recorded: ${death.cause}${death.killer ? ` by ${death.killer}` : ''} at ${where} (${death.dimension})`);
+
+        this.bot.emit('bot_died', death);
+
+        const settings = this.getSettings();
+        if (settings.autoRespawn && this.dead) {
+            this.respawnTimer = setTimeout(() => {
+                this.respawnTimer = null;
+                this.requestRespawn();
+            }, settings.respawnDelay);
+        }
+    }
+
+    requestRespawn() {
+        if (!this.dead) return false;
+
+        console.log('🔄 Requesting respawn...');
+        this.sendRespawnPacket(RESPAWN_STATE.CLIENT_READY_TO_SPAWN);
+
+        if (this.bot.client && this.bot.runtimeId !== null) {
+            try {
+                this.bot.client.write('player_action', {
+                    runtime_entity_id: this.bot.runtimeId,
+                    action: 'respawn',
+                    position: { x: 0, y: 0, z: 0 },
+                    result_position: { x: 0, y: 0, z: 0 },
+                    face: 0
+                });
+            } catch (error) {
+                console.error('❌ Failed to send respawn action:', error.message);
+            }
+        }
+        return true;
+    }
+
+    sendRespawnPacket(state) {
+        if (!this.bot.client || this.bot.runtimeId === null) return;
+
+        try {
+            this.bot.client.write('respawn', {
+                position: { x: 0, y: 0, z: 0 },
+                state,
+                runtime_entity_id: this.bot.runtimeId
+            });
+        } catch (error) {
+            console.error('❌ Failed to send respawn packet:', error.message);
+        }
+    }
+
+    onRespawned(position) {
+        if (!this.dead) return;
+
+        // Respawned before the cause window closed - record the death now
+        if (this.finalizeTimer) {
+            clearTimeout(this.finalizeTimer);
+            this.finalizeTimer = null;
+            this.finalizeDeath();
+        }
+        if (this.respawnTimer) {
+            clearTimeout(this.respawnTimer);
+            this.respawnTimer = null;
+        }
+
+        this.dead = false;
+        console.log('✨ Respawned');
+        this.bot.emit('bot_respawned', { position, death: this.lastDeath });
+
+        if (this.getSettings().recoveryEnabled) {
+            // Give the server a moment to place us before walking off
+            setTimeout(() => this.recoverDeathPoint(), 2000);
+        }
+    }
+
+    // Walk back to where we died and pick up the drops before they despawn
+    async recoverDeathPoint() {
+        const death = this.lastDeath;
+        const settings = this.getSettings();
+
+        if (!death || !death.position || this.recoveryInProgress || this.dead) return false;
+
+        const currentDimension = this.bot.worldState?.dimension || 'overworld';
+        if (death.dimension !== currentDimension) {
+            console.log(`💀 Skipping recovery - died in ${death.dimension}, respawned in ${currentDimension}`);
+            return false;
+        }
+
+        const timeLeft = ITEM_DESPAWN_TIME - (Date.now() - death.time);
+        const distance = this.calculateDistance(this.bot.position, death.position);
+
+        if (timeLeft <= 0) {
+            console.log('💀 Skipping recovery - items have already despawned');
+            return false;
+        }
+        if (distance > settings.recoveryMaxDistance) {
+            console.log(`💀 Skipping recovery - death point is ${Math.round(distance)} blocks away`);
+            return false;
+        }
+        if (!this.managers.navigation) return false;
+
+        this.recoveryInProgress = true;
+        death.recoveryAttempted = true;
+        console.log(`🎒 Heading back to death point (${Math.round(distance)} blocks, ${Math.round(timeLeft / 1000)}s before despawn)`);
+        this.bot.emit('death_recovery_started', { death, distance });
+
+        try {
+            await this.managers.navigation.navigateToTarget(
+                { ...death.position, type: 'death_point' },
+                { precision: 2, timeout: timeLeft }
+            );
+
+            const remaining = this.calculateDistance(this.bot.position, death.position);
+            death.recovered = remaining <= 4;
+            console.log(death.recovered ? '🎒 Reached death point' : '🎒 Could not reach death point in time');
+            this.bot.emit('death_recovery_finished', { death, success: death.recovered });
+            return death.recovered;
+        } catch (error) {
+            console.error('❌ Death recovery failed:', error.message);
+            return false;
+        } finally {
+            this.recoveryInProgress = false;
+        }
+    }
+
+    calculateDistance(pos1, pos2) {
+        if (!pos1 || !pos2) return Infinity;
+        const dx = pos1.x - pos2.x;
+        const dy = pos1.y - pos2.y;
+        const dz = pos1.z - pos2.z;
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    async handleEvent(eventType, data) {
+        switch (eventType) {
+            case 'disconnected':
+                // Timers belong to the old session
+                if (this.respawnTimer) {
+                    clearTimeout(this.respawnTimer);
+                    this.respawnTimer = null;
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    getDeathStatus() {
+        return {
+            dead: this.dead,
+            totalDeaths: this.deathHistory.length,
+            lastDeath: this.lastDeath,
+            recoveryInProgress: this.recoveryInProgress,
+            recentDeaths: this.deathHistory.slice(-5)
+        };
+    }
+}
+
+module.exports = DeathManager;
@@ -0,0 +1,263 @@
+// modules/EntityManager.js - Entity state tracking from server packets
+const { normalizeId, toVector, applyMoveDelta } = require('./EntityPackets');
+
+class EntityManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        this.config = {
+            staleTimeout: bot.config?.entityStaleTimeout || 300000, // 5 minutes without updates
+            sweepInterval: 10000
+        };
+
+        this.stats = {
+            spawned: 0,
+            removed: 0,
+            expired: 0,
+            died: 0
+        };
+
+        this.startExpirySweep();
+
+        console.log('👾 EntityManager initialized');
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    getEntity(runtimeId) {
+        return this.bot.entities.get(normalizeId(runtimeId)) || null;
+    }
+
+    handleAddEntity(packet) {
+        const id = normalizeId(packet.runtime_id);
+        const now = Date.now();
+        const health = this.extractHealth(packet.attributes);
+
+        const entity = {
+            id,
+            runtimeId: id,
+            uniqueId: normalizeId(packet.unique_id),
+            type: packet.entity_type || 'unknown',
+            position: toVector(packet.position),
+            velocity: toVector(packet.velocity) || { x: 0, y: 0, z: 0 },
+            rotation: {
+                pitch: packet.pitch || 0,
+                yaw: packet.yaw || 0,
+                headYaw: packet.head_yaw || 0
+            },
+            health: health ? health.value : null,
+            maxHealth: health ? health.max : null,
+            flags: {},
+            nametag: null,
+            dead: false,
+            lastHurtTime: null,
+            lastEvent: null,
+            spawnTime: now,
+            lastUpdate: now
+        };
+
+        this.applyMetadata(entity, packet.metadata);
+        this.bot.entities.set(id, entity);
+        this.stats.spawned++;
+
+        return entity;
+    }
+
+    handleMoveEntity(packet) {
+        const entity = this.getEntity(packet.runtime_entity_id);
+        if (!entity) return null;
+
+        entity.position = toVector(packet.position);
+        if (packet.rotation) {
+            entity.rotation = {
+                pitch: packet.rotation.pitch,
+                yaw: packet.rotation.yaw,
+                headYaw: packet.rotation.head_yaw
+            };
+        }
+        entity.lastUpdate = Date.now();
+
+        return entity;
+    }
+
+    // move_entity_delta only carries the fields that changed
+    handleMoveEntityDelta(packet) {
+        const entity = this.getEntity(packet.runtime_entity_id);
+        if (!entity) return null;
+
+        applyMoveDelta(entity, packet);
+        entity.lastUpdate = Date.now();
+        return entity;
+    }
+
+    handleSetEntityData(packet) {
+        const entity = this.getEntity(packet.runtime_entity_id);
+        if (!entity) return null;
+
+        this.applyMetadata(entity, packet.metadata);
+        entity.lastUpdate = Date.now();
+
+        return entity;
+    }
+
+    handleSetEntityMotion(packet) {
+        const entity = this.getEntity(packet.runtime_entity_id);
+        if (!entity) return null;
+
+        entity.velocity = toVector(packet.velocity);
+        entity.lastUpdate = Date.now();
+
+        return entity;
+    }
+
+    handleEntityEvent(packet) {
+        const entity = this.getEntity(packet.runtime_entity_id);
+        if (!entity) return null;
+
+        const now = Date.now();
+        entity.lastEvent = { name: packet.event_id, time: now };
+        entity.lastUpdate = now;
+
+        switch (packet.event_id) {
+            case 'hurt_animation':
+                entity.lastHurtTime = now;
+                break;
+            case 'death_animation':
+                if (!entity.dead) {
+                    entity.dead = true;
+                    entity.health = 0;
+                    this.stats.died++;
+                    this.bot.emit('entity_died', entity);
+                }
+                break;
+        }
+
+        return entity;
+    }
+
+    // update_attributes for anything that isn't us carries mob health
+    handleUpdateAttributes(packet) {
+        const entity = this.getEntity(packet.runtime_entity_id);
+        if (!entity) return null;
+
+        const health = this.extractHealth(packet.attributes);
+        if (health) {
+            entity.health = health.current ?? health.value;
+            entity.maxHealth = health.max;
+        }
+        entity.lastUpdate = Date.now();
+
+        return entity;
+    }
+
+    // remove_entity identifies entities by their unique id, not the runtime id
+    handleRemoveEntity(packet) {
+        const uniqueId = normalizeId(packet.entity_id_self);
+        for (const [id, entity] of this.bot.entities) {
+            if (entity.uniqueId === uniqueId) {
+                this.bot.entities.delete(id);
+                this.stats.removed++;
+                return entity;
+            }
+        }
+        return null;
+    }
+
+    applyMetadata(entity, metadata) {
+        if (!Array.isArray(metadata)) return;
+
+        metadata.forEach(item => {
+            if (!item) return;
+
+            switch (item.key) {
+                case 'flags':
+                    entity.flags = this.parseFlags(item.value);
+                    break;
+                case 'health':
+                    entity.health = item.value;
+                    break;
+                case 'nametag':
+                    entity.nametag = item.value || null;
+                    break;
+                case 'creeper_swell':
+                    entity.creeperSwell = item.value;
+                    break;
+                case 'target_eid':
+                    entity.targetId = normalizeId(item.value);
+                    break;
+            }
+        });
+    }
+
+    parseFlags(value) {
+        const flags = value && typeof value === 'object' ? value : {};
+        return {
+            onFire: !!flags.onfire,
+            sneaking: !!flags.sneaking,
+            sprinting: !!flags.sprinting,
+            invisible: !!flags.invisible,
+            baby: !!flags.baby,
+            angry: !!flags.angry,
+            ignited: !!flags.ignited,
+            // Charged creepers use the "powered" bit
+            charged: !!(flags.powered || flags.charged),
+            noAi: !!flags.no_ai
+        };
+    }
+
+    extractHealth(attributes) {
+        if (!Array.isArray(attributes)) return null;
+        return attributes.find(attr => attr && attr.name === 'minecraft:health') || null;
+    }
+
+    startExpirySweep() {
+        this.sweepTimer = setInterval(() => {
+            this.expireStaleEntities();
+        }, this.config.sweepInterval);
+    }
+
+    expireStaleEntities(now = Date.now()) {
+        const expired = [];
+
+        for (const [id, entity] of this.bot.entities) {
+            if (now - entity.lastUpdate > this.config.staleTimeout) {
+                this.bot.entities.delete(id);
+                expired.push(entity);
+            }
+        }
+
+        if (expired.length > 0) {
+            this.stats.expired += expired.length;
+            if (this.bot.config?.debugMode) {
+                console.log(`👾 Expired ${expired.length} stale entities`);
+            }
+            expired.forEach(entity => this.bot.emit('entity_expired', entity));
+        }
+
+        return expired;
+    }
+
+    getEntityStatus() {
+        const now = Date.now();
+        const byType = {};
+
+        for (const entity of this.bot.entities.values()) {
+            byType[entity.type] = (byType[entity.type] || 0) + 1;
+        }
+
+        return {
+            tracked: this.bot.entities.size,
+            byType,
+            stats: this.stats,
+            entities: Array.from(this.bot.entities.values()).map(entity => ({
+                ...entity,
+                secondsSinceUpdate: Math.round((now - entity.lastUpdate) / 1000)
+            }))
+        };
+    }
+}
+
+module.exports = EntityManager;
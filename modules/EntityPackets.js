@@ -0,0 +1,41 @@
+// modules/EntityPackets.js - Decoding shared by PlayerManager and EntityManager (players are entities on the wire)
+
+// Runtime ids arrive as BigInt (varint64) or number (varint) depending on the packet
+function normalizeId(id) {
+    return id === undefined || id === null ? null : String(id);
+}
+
+function toVector(vector) {
+    if (!vector) return null;
+    return { x: vector.x, y: vector.y, z: vector.z };
+}
+
+// Rotations are sent as a byte (256 steps per turn)
+function byteToDegrees(value) {
+    return value * (360 / 256);
+}
+
+// Delta packets only carry the fields that changed (absolute values, not offsets).
+// Updates position and rotation on the tracked player or entity in place.
+function applyMoveDelta(target, packet) {
+    const flags = packet.flags || {};
+
+    const position = { ...(target.position || { x: 0, y: 0, z: 0 }) };
+    if (flags.has_x) position.x = packet.x;
+    if (flags.has_y) position.y = packet.y;
+    if (flags.has_z) position.z = packet.z;
+    target.position = position;
+
+    if (flags.has_rot_x) target.rotation.pitch = byteToDegrees(packet.rot_x);
+    if (flags.has_rot_y) target.rotation.yaw = byteToDegrees(packet.rot_y);
+    if (flags.has_rot_z) target.rotation.headYaw = byteToDegrees(packet.rot_z);
+
+    return flags;
+}
+
+module.exports = {
+    normalizeId,
+    toVector,
+    byteToDegrees,
+    applyMoveDelta
+};
@@ -3,6 +3,12 @@ const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
 
+// Too frequent to stream or replay unless a subscriber asks for them by name
+const NOISY_EVENTS = ['packet_received', 'packet_sent'];
+
+// Arg keys whose values never leave the process
+const SENSITIVE_KEY_PATTERN = /(api_?key|apikeys?|token|secret|password|authorization|cookie|webhookurl)/i;
+
 class EventManager extends EventEmitter {
     constructor(bot) {
         super();
@@ -12,6 +18,7 @@ class EventManager extends EventEmitter {
         // Event tracking and analytics
         this.eventStats = {
             totalEvents: 0,
+            totalErrors: 0,
             eventCounts: {},
             recentEvents: [],
             errorEvents: [],
@@ -24,14 +31,23 @@ class EventManager extends EventEmitter {
         this.eventQueue = [];
         this.processing = false;
         
+        // When each part of the history was last cleared (or started)
+        this.historySince = { events: Date.now(), errors: Date.now(), performance: Date.now() };
+        
+        // Live event stream subscribers and the redacted history replayed to new ones
+        this.streamSubscribers = new Set();
+        this.streamHistory = [];
+        
         // Configuration
         this.config = {
-            maxRecentEvents: 100,
-            maxErrorEvents: 50,
+            maxRecentEvents: 500,
+            maxErrorEvents: 100,
             enableEventLogging: bot.config?.debugMode || false,
             eventLogFile: './logs/events.log',
             queueProcessingInterval: 50, // ms
-            enablePerformanceTracking: true
+            enablePerformanceTracking: true,
+            maxStreamHistory: 200,
+            maxStreamDepth: 5
         };
         
         console.log('📡 EventManager initialized');
@@ -62,18 +78,26 @@ class EventManager extends EventEmitter {
         this.registerHandler('mission_completed', this.onMissionCompleted.bind(this));
         this.registerHandler('mission_failed', this.onMissionFailed.bind(this));
         this.registerHandler('mission_paused', this.onMissionPaused.bind(this));
+        this.registerHandler('mission_resumed', this.onMissionResumed.bind(this));
+        this.registerHandler('mission_reset', this.onMissionReset.bind(this));
+        this.registerHandler('mission_aborted', this.onMissionAborted.bind(this));
+        this.registerHandler('mission_phase_skipped', this.onMissionPhaseSkipped.bind(this));
+        this.registerHandler('mission_phase_changed', this.onMissionPhaseChanged.bind(this));
         
         // Combat events
         this.registerHandler('combat_started', this.onCombatStarted.bind(this));
         this.registerHandler('combat_ended', this.onCombatEnded.bind(this));
         this.registerHandler('entity_damaged', this.onEntityDamaged.bind(this));
         this.registerHandler('bot_damaged', this.onBotDamaged.bind(this));
+        this.registerHandler('bot_died', this.onBotDied.bind(this));
         
         // Navigation events
         this.registerHandler('navigation_started', this.onNavigationStarted.bind(this));
         this.registerHandler('navigation_completed', this.onNavigationCompleted.bind(this));
         this.registerHandler('navigation_failed', this.onNavigationFailed.bind(this));
         this.registerHandler('position_update', this.onPositionUpdate.bind(this));
+        this.registerHandler('dimension_changed', this.onDimensionChanged.bind(this));
+        this.registerHandler('day_phase_changed', this.onDayPhaseChanged.bind(this));
         
         // Inventory events
         this.registerHandler('item_collected', this.onItemCollected.bind(this));
@@ -93,6 +117,7 @@ class EventManager extends EventEmitter {
         this.registerHandler('error', this.onError.bind(this));
         this.registerHandler('performance_warning', this.onPerformanceWarning.bind(this));
         this.registerHandler('config_updated', this.onConfigUpdated.bind(this));
+        this.registerHandler('action_job_updated', this.onActionJobUpdated.bind(this));
         
         // Packet events
         this.registerHandler('packet_received', this.onPacketReceived.bind(this));
@@ -144,12 +169,16 @@ class EventManager extends EventEmitter {
                 id: this.generateEventId()
             };
             
-            // Add to recent events
-            this.eventStats.recentEvents.push(eventData);
-            if (this.eventStats.recentEvents.length > this.config.maxRecentEvents) {
-                this.eventStats.recentEvents.shift();
+            // Add to recent events - packets would push everything else out within a second
+            if (!NOISY_EVENTS.includes(eventName)) {
+                this.eventStats.recentEvents.push(eventData);
+                if (this.eventStats.recentEvents.length > this.config.maxRecentEvents) {
+                    this.eventStats.recentEvents.shift();
+                }
             }
             
+            this.publishEvent(eventData);
+            
             // Process through middlewares
             for (const middleware of this.middlewares) {
                 try {
@@ -206,10 +235,14 @@ class EventManager extends EventEmitter {
         } else {
             console.log(`👋 Welcome ${player.username}! (ChatManager welcomePlayer not available)`);
             if (this.bot && this.bot.sendChat) {
-                await this.bot.sendChat(`👋 Welcome ${player.username}! Ready to hunt the Ender Dragon!`);
+                await this.bot.sendChat(`👋 Welcome ${player.username}! Ready to hunt the Ender Dragon!`, { priority: 'low' });
             }
         }
         
+        if (this.managers.memory) {
+            this.managers.memory.touch(player.username);
+        }
+        
         // Record interaction for learning
         this.bot.emit('player_interaction', {
             type: 'join',
@@ -225,6 +258,10 @@ class EventManager extends EventEmitter {
             await this.managers.mission.handlePlayerLeave(player.name);
         }
         
+        if (this.managers.memory && player.name) {
+            this.managers.memory.touch(player.name);
+        }
+        
         // Record interaction for learning
         this.bot.emit('player_interaction', {
             type: 'leave',
@@ -257,11 +294,8 @@ class EventManager extends EventEmitter {
     async onMissionStarted(missionData) {
         console.log('📡 EventManager: Mission started -', missionData.type);
         
-        // Notify all relevant managers
+        // Notify all relevant managers (MissionManager announces the start in chat itself)
         await this.notifyManagers('mission_started', missionData);
-        
-        // Update bot status
-        await this.bot.sendChat(`🐉 Mission started: ${missionData.type}`);
     }
 
     async onMissionCompleted(missionData) {
@@ -282,6 +316,7 @@ class EventManager extends EventEmitter {
         console.log('📡 EventManager: Mission failed -', failureData.reason);
         
         await this.bot.sendChat(`💀 Mission failed: ${failureData.reason}`);
+        await this.notifyManagers('mission_failed', failureData);
         
         // Learn from failure
         if (this.managers.learning) {
@@ -289,9 +324,38 @@ class EventManager extends EventEmitter {
         }
     }
 
-    async onMissionPaused() {
+    async onMissionPaused(pauseData = {}) {
         console.log('📡 EventManager: Mission paused');
         await this.bot.sendChat('⏸️ Mission paused');
+        await this.notifyManagers('mission_paused', pauseData);
+    }
+
+    async onMissionResumed(resumeData = {}) {
+        console.log('📡 EventManager: Mission resumed');
+        await this.bot.sendChat(`▶️ Mission resumed - back to the ${resumeData.phase} phase!`);
+        await this.notifyManagers('mission_resumed', resumeData);
+    }
+
+    async onMissionReset(resetData = {}) {
+        console.log('📡 EventManager: Mission reset');
+        await this.bot.sendChat('🔄 Mission reset - waiting for a new start');
+        await this.notifyManagers('mission_reset', resetData);
+    }
+
+    async onMissionAborted(abortData = {}) {
+        console.log('📡 EventManager: Mission aborted -', abortData.reason);
+        await this.bot.sendChat('🛑 Mission aborted');
+        await this.notifyManagers('mission_aborted', abortData);
+    }
+
+    async onMissionPhaseSkipped(skipData) {
+        console.log(`📡 EventManager: Mission phase skipped ${skipData.from} → ${skipData.to}`);
+        await this.notifyManagers('mission_phase_skipped', skipData);
+    }
+
+    async onMissionPhaseChanged(change) {
+        console.log(`📡 EventManager: Mission phase ${change.from} → ${change.to}`);
+        await this.notifyManagers('mission_phase_changed', change);
     }
 
     // Combat Event Handlers
@@ -302,7 +366,7 @@ class EventManager extends EventEmitter {
             await this.managers.combat.handleCombatStart(combatData);
         }
         
-        await this.bot.sendChat(`⚔️ Engaging ${combatData.target}!`);
+        await this.bot.sendChat(`⚔️ Engaging ${combatData.target}!`, { priority: 'low' });
     }
 
     async onCombatEnded(combatResult) {
@@ -339,6 +403,22 @@ class EventManager extends EventEmitter {
         }
     }
 
+    async onBotDied(death) {
+        console.log(`📡 EventManager: Bot died - ${death.cause}${death.killer ? ` (${death.killer})` : ''}`);
+        
+        // A death is a lost fight, whether or not combat was engaged
+        if (this.managers.learning) {
+            await this.managers.learning.learnFromCombat({
+                enemyType: death.killer || death.cause,
+                outcome: 'defeat',
+                strategy: this.managers.combat?.currentStrategy?.approach || 'none',
+                healthRemaining: 0
+            });
+        }
+        
+        await this.notifyManagers('bot_died', death);
+    }
+
     // Navigation Event Handlers
     async onNavigationStarted(target) {
         console.log('📡 EventManager: Navigation started to', target);
@@ -367,6 +447,16 @@ class EventManager extends EventEmitter {
         }
     }
 
+    async onDimensionChanged(change) {
+        console.log(`📡 EventManager: Dimension changed - ${change.old} → ${change.dimension}`);
+        await this.notifyManagers('dimension_changed', change);
+    }
+
+    async onDayPhaseChanged(change) {
+        console.log(`📡 EventManager: Day phase changed - ${change.old} → ${change.phase}`);
+        await this.notifyManagers('day_phase_changed', change);
+    }
+
     // Inventory Event Handlers
     async onItemCollected(item) {
         console.log('📡 EventManager: Item collected -', item.name);
@@ -391,11 +481,13 @@ class EventManager extends EventEmitter {
 
     // Entity Event Handlers
     async onEntitySpawned(entity) {
-        if (entity.type === 'ender_dragon') {
+        // Server entity types are namespaced (minecraft:ender_dragon)
+        if (entity.type === 'minecraft:ender_dragon' || entity.type === 'ender_dragon') {
             this.bot.emit('ender_dragon_spotted', entity);
         }
         
-        if (this.managers.combat && this.isHostileEntity(entity)) {
+        // CombatManager owns the hostile list, so it stays in step with the namespaced types
+        if (this.managers.combat && this.managers.combat.isHostileEntity(entity)) {
             await this.managers.combat.handleHostileEntitySpawn(entity);
         }
     }
@@ -408,7 +500,7 @@ class EventManager extends EventEmitter {
 
     async onEnderDragonSpotted(dragon) {
         console.log('🐉 EventManager: ENDER DRAGON SPOTTED!');
-        await this.bot.sendChat('🐉 ENDER DRAGON DETECTED! Beginning final assault!');
+        await this.bot.sendChat('🐉 ENDER DRAGON DETECTED! Beginning final assault!', { priority: 'high' });
         
         if (this.managers.mission) {
             await this.managers.mission.handleEnderDragonSpotted(dragon);
@@ -426,7 +518,7 @@ class EventManager extends EventEmitter {
 
     async onPatternDiscovered(pattern) {
         console.log('📡 EventManager: New pattern discovered -', pattern.type);
-        await this.bot.sendChat(`🧠 I've learned something new about ${pattern.type}!`);
+        await this.bot.sendChat(`🧠 I've learned something new about ${pattern.type}!`, { priority: 'low' });
     }
 
     // System Event Handlers
@@ -436,10 +528,12 @@ class EventManager extends EventEmitter {
         
         // Attempt recovery based on error type
         await this.attemptErrorRecovery(error);
+        await this.notifyManagers('error', error);
     }
 
     async onPerformanceWarning(warning) {
         console.warn('📡 EventManager: Performance warning -', warning);
+        await this.notifyManagers('performance_warning', warning);
     }
 
     async onConfigUpdated(config) {
@@ -447,6 +541,13 @@ class EventManager extends EventEmitter {
         this.config = { ...this.config, ...config };
     }
 
+    // Registered so job progress reaches /events/stream - ActionManager does its own logging
+    async onActionJobUpdated(job) {
+        if (['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+            await this.notifyManagers('action_job_finished', job);
+        }
+    }
+
     // Packet Event Handlers
     async onPacketReceived() {
         // Increment packet counter (handled by main bot)
@@ -469,6 +570,119 @@ class EventManager extends EventEmitter {
         await Promise.allSettled(notifications);
     }
 
+    // Live event stream
+    subscribeToStream({ events = [], replay = 0, lastEventId = null } = {}, send) {
+        const subscriber = { matches: this.createEventFilter(events), send };
+
+        // Reconnecting clients pick up after the last event they saw, new ones get the last N
+        let backlog = this.streamHistory.filter(event => subscriber.matches(event.name));
+        if (lastEventId) {
+            const index = backlog.findIndex(event => event.id === lastEventId);
+            backlog = index >= 0 ? backlog.slice(index + 1) : backlog;
+        } else {
+            backlog = replay > 0 ? backlog.slice(-replay) : [];
+        }
+        backlog.forEach(event => send(event));
+
+        this.streamSubscribers.add(subscriber);
+        return () => this.streamSubscribers.delete(subscriber);
+    }
+
+    // Names may end in * to match a prefix (mission_*); no names means everything but the noisy ones
+    createEventFilter(names) {
+        const patterns = names.map(name => name.trim()).filter(Boolean);
+        if (patterns.length === 0) {
+            return (eventName) => !NOISY_EVENTS.includes(eventName);
+        }
+        return (eventName) => patterns.some(pattern => pattern.endsWith('*')
+            ? eventName.startsWith(pattern.slice(0, -1))
+            : eventName === pattern);
+    }
+
+    publishEvent(eventData) {
+        const noisy = NOISY_EVENTS.includes(eventData.name);
+        const subscribers = Array.from(this.streamSubscribers).filter(subscriber => subscriber.matches(eventData.name));
+        if (noisy && subscribers.length === 0) return;
+
+        const publicEvent = this.toPublicEvent(eventData);
+        if (!noisy) {
+            this.streamHistory.push(publicEvent);
+            if (this.streamHistory.length > this.config.maxStreamHistory) {
+                this.streamHistory.shift();
+            }
+        }
+
+        subscribers.forEach(subscriber => {
+            try {
+                subscriber.send(publicEvent);
+            } catch (error) {
+                this.streamSubscribers.delete(subscriber);
+            }
+        });
+    }
+
+    toPublicEvent(eventData) {
+        return {
+            id: eventData.id,
+            name: eventData.name,
+            timestamp: eventData.timestamp,
+            args: this.redact(eventData.args, 0, new WeakSet())
+        };
+    }
+
+    // JSON-safe copy of event args with secrets removed
+    redact(value, depth, seen) {
+        if (value === null || value === undefined) return value ?? null;
+        if (typeof value === 'bigint') return value.toString();
+        if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+        if (typeof value === 'string') return this.redactSecrets(value);
+        if (typeof value !== 'object') return value;
+
+        if (depth >= this.config.maxStreamDepth) return '[Truncated]';
+        // `seen` holds only the objects above this one - the same object reached twice
+        // through different keys is copied twice, not reported as circular
+        if (seen.has(value)) return '[Circular]';
+        const ancestor = value;
+        seen.add(ancestor);
+
+        try {
+            if (value instanceof Error) return { name: value.name, message: this.redactSecrets(value.message) };
+            if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+            if (value instanceof Map) value = Object.fromEntries(value);
+            if (value instanceof Set) value = Array.from(value);
+            // The bot and managers hang off some args - never serialise them
+            if (value === this.bot || value instanceof EventEmitter) return '[Object]';
+
+            if (Array.isArray(value)) {
+                return value.map(item => this.redact(item, depth + 1, seen));
+            }
+
+            const result = {};
+            Object.entries(value).forEach(([key, item]) => {
+                result[key] = SENSITIVE_KEY_PATTERN.test(key) ? '[REDACTED]' : this.redact(item, depth + 1, seen);
+            });
+            return result;
+        } finally {
+            seen.delete(ancestor);
+        }
+    }
+
+    // Catches secrets that end up inside free text (error messages, chat echoes)
+    redactSecrets(text) {
+        const config = this.bot.config || {};
+        const secrets = [config.geminiApiKey, ...(config.apiKeys || []).map(entry => entry.key)]
+            .filter(secret => secret && secret.length >= 8);
+
+        return secrets.reduce((result, secret) => result.split(secret).join('[REDACTED]'), text);
+    }
+
+    getStreamStatus() {
+        return {
+            subscribers: this.streamSubscribers.size,
+            historySize: this.streamHistory.length
+        };
+    }
+
     shouldLogPositionUpdate(position) {
         if (!this.lastLoggedPosition) {
             this.lastLoggedPosition = position;
@@ -489,14 +703,6 @@ class EventManager extends EventEmitter {
         return false;
     }
 
-    isHostileEntity(entity) {
-        const hostileTypes = [
-            'zombie', 'skeleton', 'creeper', 'spider', 'enderman',
-            'witch', 'blaze', 'ghast', 'ender_dragon', 'wither'
-        ];
-        return hostileTypes.includes(entity.type);
-    }
-
     generateEventId() {
         return `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
@@ -508,7 +714,8 @@ class EventManager extends EventEmitter {
                 totalTime: 0,
                 averageTime: 0,
                 maxTime: 0,
-                minTime: Infinity
+                minTime: Infinity,
+                lastTime: null
             };
         }
         
@@ -518,6 +725,7 @@ class EventManager extends EventEmitter {
         metrics.averageTime = metrics.totalTime / metrics.count;
         metrics.maxTime = Math.max(metrics.maxTime, processingTime);
         metrics.minTime = Math.min(metrics.minTime, processingTime);
+        metrics.lastTime = Date.now();
         
         // Warn about slow events
         if (processingTime > 1000) { // 1 second
@@ -531,6 +739,7 @@ class EventManager extends EventEmitter {
 
     recordError(eventName, error, args = []) {
         const errorRecord = {
+            id: this.generateEventId(),
             event: eventName,
             error: {
                 message: error.message,
@@ -541,6 +750,7 @@ class EventManager extends EventEmitter {
             timestamp: Date.now()
         };
         
+        this.eventStats.totalErrors++;
         this.eventStats.errorEvents.push(errorRecord);
         if (this.eventStats.errorEvents.length > this.config.maxErrorEvents) {
             this.eventStats.errorEvents.shift();
@@ -551,7 +761,9 @@ class EventManager extends EventEmitter {
         // Basic error recovery strategies
         if (error.message.includes('connection')) {
             console.log('📡 EventManager: Attempting connection recovery...');
-            // Could trigger reconnection logic here
+            if (!this.bot.connected && this.managers.reconnect) {
+                this.managers.reconnect.scheduleReconnect(error.message);
+            }
         } else if (error.message.includes('timeout')) {
             console.log('📡 EventManager: Handling timeout error...');
             // Could implement timeout recovery
@@ -633,12 +845,91 @@ class EventManager extends EventEmitter {
         return this.eventStats.errorEvents;
     }
 
-    clearEventHistory() {
-        this.eventStats.recentEvents = [];
-        this.eventStats.errorEvents = [];
-        this.eventStats.eventCounts = {};
-        this.eventStats.performanceMetrics = {};
-        console.log('📡 EventManager: Event history cleared');
+    clearEventHistory(scopes = ['events', 'errors', 'performance']) {
+        const now = Date.now();
+        if (scopes.includes('events')) {
+            this.eventStats.recentEvents = [];
+            this.eventStats.eventCounts = {};
+            this.historySince.events = now;
+        }
+        if (scopes.includes('errors')) {
+            this.eventStats.errorEvents = [];
+            this.historySince.errors = now;
+        }
+        if (scopes.includes('performance')) {
+            this.eventStats.performanceMetrics = {};
+            this.historySince.performance = now;
+        }
+        console.log(`📡 EventManager: Event history cleared (${scopes.join(', ')})`);
+    }
+
+    // History queries for the HTTP API - every list comes back in the same envelope:
+    // { since, total, offset, limit, nextOffset, items }
+    // Events and errors are newest first; performance is most total time first
+    queryEvents(query = {}) {
+        return this.paginate(
+            this.filterHistory(this.eventStats.recentEvents, query, event => event.name),
+            query,
+            this.historySince.events,
+            event => this.toPublicEvent(event)
+        );
+    }
+
+    queryErrors(query = {}) {
+        return this.paginate(
+            this.filterHistory(this.eventStats.errorEvents, query, record => record.event),
+            query,
+            this.historySince.errors,
+            record => ({
+                id: record.id,
+                event: record.event,
+                timestamp: record.timestamp,
+                error: {
+                    name: record.error.name,
+                    message: this.redactSecrets(record.error.message || ''),
+                    stack: record.error.stack ? this.redactSecrets(record.error.stack) : null
+                },
+                args: this.redact(record.args, 0, new WeakSet())
+            })
+        );
+    }
+
+    // Metrics are running totals, so since/until pick the events last recorded in that window
+    queryPerformance(query = {}) {
+        const records = Object.entries(this.eventStats.performanceMetrics)
+            .map(([event, metrics]) => ({ event, timestamp: metrics.lastTime, metrics }));
+        const sorted = this.filterHistory(records, query, record => record.event)
+            .sort((a, b) => b.metrics.totalTime - a.metrics.totalTime || a.event.localeCompare(b.event));
+
+        return this.slicePage(sorted, query, this.historySince.performance, ({ event, metrics }) => ({
+            event,
+            count: metrics.count,
+            totalTime: metrics.totalTime,
+            averageTime: Math.round(metrics.averageTime * 100) / 100,
+            maxTime: metrics.maxTime,
+            minTime: metrics.count > 0 ? metrics.minTime : null,
+            lastTime: metrics.lastTime
+        }));
+    }
+
+    filterHistory(records, { names = [], since = null, until = null }, getName) {
+        const matches = this.createEventFilter(names);
+        return records.filter(record =>
+            matches(getName(record)) &&
+            (since === null || record.timestamp >= since) &&
+            (until === null || record.timestamp <= until)
+        );
+    }
+
+    // records are oldest first, as they are stored
+    paginate(records, query, since, toItem) {
+        return this.slicePage(records.slice().reverse(), query, since, toItem);
+    }
+
+    slicePage(ordered, { limit = 50, offset = 0 }, since, toItem) {
+        const page = ordered.slice(offset, offset + limit);
+        const nextOffset = offset + page.length < ordered.length ? offset + page.length : null;
+        return { since, total: ordered.length, offset, limit, nextOffset, items: page.map(toItem) };
     }
 }
 
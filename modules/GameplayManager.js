@@ -18,78 +18,68 @@ class GameplayManager {
             playerCollaborationData: []
         };
         
-        // Initialize game mode detection with delay to ensure other managers are ready
+        this.adventureSettings = null;
+        this.gameModeSource = null;
+        
+        // Game mode and difficulty come from server packets (start_game and friends)
         this.setupAdaptiveStrategies();
-        setTimeout(() => this.detectGameMode(), 2000); // Delay to ensure bot is fully initialized
+        this.setupGameModeTracking();
+        this.setupDeathTracking();
     }
 
-    async detectGameMode() {
-        // Try to detect game mode through various methods
-        try {
-            // Method 1: Try to break a block (creative mode allows instant breaking)
-            await this.testCreativeMode();
-            
-            // Method 2: Check health regeneration
-            await this.testHealthRegeneration();
-            
-            // Method 3: Analyze player behavior patterns
-            this.analyzePlayerPatterns();
-            
-        } catch (error) {
-            console.log('🔍 Game mode detection in progress...');
-            this.currentGameMode = 'survival'; // Default assumption
-        }
-        
-        console.log(`🎮 Detected game mode: ${this.currentGameMode} (${this.difficulty})`);
-        this.adaptStrategyToGameMode();
-    }
+    setupGameModeTracking() {
+        this.bot.on('world_state_updated', (state) => {
+            this.applyServerGameState(state.gameMode, state.difficulty, 'start_game');
+        });
 
-    async testCreativeMode() {
-        // This would require actual block interaction
-        // For now, we'll use heuristics based on player behavior
-        setTimeout(() => {
-            if (this.bot.health === 20 && this.performanceMetrics.damageTaken === 0) {
-                // Likely creative or peaceful
-                this.currentGameMode = 'creative';
-                this.difficulty = 'creative';
-            }
-        }, 5000);
-    }
+        this.bot.on('game_mode_changed', (change) => {
+            this.applyServerGameState(change.gameMode, this.difficulty, change.source);
+        });
 
-    async testHealthRegeneration() {
-        const initialHealth = this.bot.health;
-        
-        setTimeout(() => {
-            if (this.bot.health > initialHealth && this.bot.health === 20) {
-                this.difficulty = 'peaceful';
-            } else if (this.bot.health < 20) {
-                this.difficulty = this.bot.health < 10 ? 'hard' : 'normal';
-            }
-            this.currentGameMode = 'survival';
-        }, 10000);
+        this.bot.on('difficulty_changed', (change) => {
+            this.applyServerGameState(this.currentGameMode, change.difficulty, change.source);
+        });
+
+        this.bot.on('adventure_settings_updated', (settings) => {
+            this.adventureSettings = settings;
+        });
     }
 
-    analyzePlayerPatterns() {
-        // Analyze player movement and behavior to infer game mode
-        const playerBehaviors = this.bot.chatManager?.learningData?.playerBehaviors;
-        if (playerBehaviors) {
-            let creativeBehaviorCount = 0;
-            let survivalBehaviorCount = 0;
-            
-            playerBehaviors.forEach(behavior => {
-                if (behavior.topics.includes('building') || behavior.topics.includes('creative')) {
-                    creativeBehaviorCount++;
-                } else if (behavior.topics.includes('survival') || behavior.topics.includes('food')) {
-                    survivalBehaviorCount++;
-                }
+    setupDeathTracking() {
+        this.bot.on('bot_died', (death) => {
+            this.performanceMetrics.deathCount++;
+            this.recordActionOutcome('death', false, {
+                cause: death.cause,
+                killer: death.killer,
+                dimension: death.dimension
             });
-            
-            if (creativeBehaviorCount > survivalBehaviorCount) {
-                this.currentGameMode = 'creative';
-            }
+        });
+    }
+
+    // Re-read the authoritative state (e.g. after managers come online)
+    detectGameMode() {
+        const worldState = this.bot.worldState;
+        if (worldState && worldState.received) {
+            this.applyServerGameState(worldState.gameMode, worldState.difficulty, 'start_game', true);
+        } else {
+            console.log('🔍 Waiting for start_game to detect game mode...');
         }
     }
 
+    applyServerGameState(gameMode, difficulty, source, force = false) {
+        const modeChanged = gameMode && gameMode !== this.currentGameMode;
+        const difficultyChanged = difficulty && difficulty !== this.difficulty;
+
+        if (!modeChanged && !difficultyChanged && !force) return;
+
+        if (gameMode) this.currentGameMode = gameMode;
+        if (difficulty) this.difficulty = difficulty;
+        this.gameModeSource = source;
+
+        console.log(`🎮 Detected game mode: ${this.currentGameMode} (${this.difficulty}) via ${source}`);
+        this.adaptStrategyToGameMode();
+    }
+
     setupAdaptiveStrategies() {
         // Define strategies for different game modes and difficulties
         this.adaptiveStrategies.set('creative', {
@@ -121,10 +111,21 @@ class GameplayManager {
         });
     }
 
+    // Always resolves to a key that exists in adaptiveStrategies
+    getStrategyKey() {
+        if (this.currentGameMode === 'creative' || this.currentGameMode === 'creative_spectator') {
+            return 'creative';
+        }
+        
+        // Peaceful plays like easy; unknown difficulty falls back to normal
+        const difficultyKeys = { peaceful: 'easy', easy: 'easy', normal: 'normal', hard: 'hard' };
+        const strategyKey = `survival_${difficultyKeys[this.difficulty] || 'normal'}`;
+        
+        return this.adaptiveStrategies.has(strategyKey) ? strategyKey : 'survival_normal';
+    }
+
     adaptStrategyToGameMode() {
-        const strategyKey = this.currentGameMode === 'creative' 
-            ? 'creative' 
-            : `survival_${this.difficulty}`;
+        const strategyKey = this.getStrategyKey();
             
         const currentStrategy = this.adaptiveStrategies.get(strategyKey);
         
@@ -158,7 +159,8 @@ class GameplayManager {
             // Adjust chat behavior if chat manager is available
             if (this.bot.chatManager && typeof this.bot.chatManager.broadcastToAllPlayers === 'function') {
                 await this.bot.chatManager.broadcastToAllPlayers(
-                    `🎯 Strategy adapted for ${this.currentGameMode} (${this.difficulty}): ${strategy.dragonStrategy}`
+                    `🎯 Strategy adapted for ${this.currentGameMode} (${this.difficulty}): ${strategy.dragonStrategy}`,
+                    { priority: 'low' }
                 );
             } else if (this.bot.sendChat && typeof this.bot.sendChat === 'function') {
                 // Fallback to basic chat if available
@@ -324,14 +326,14 @@ Format: ACTION_NAME: Brief reason (max 50 chars)`;
         
         if (successRate < 0.3) {
             // Low success rate - become more cautious
-            const currentStrategy = this.adaptiveStrategies.get(`${this.currentGameMode}_${this.difficulty}`);
+            const currentStrategy = this.adaptiveStrategies.get(this.getStrategyKey());
             if (currentStrategy) {
                 currentStrategy.riskTolerance = 'minimal';
                 console.log('🛡️ Adapting to more cautious strategy due to low success rate');
             }
         } else if (successRate > 0.8) {
             // High success rate - can be more aggressive
-            const currentStrategy = this.adaptiveStrategies.get(`${this.currentGameMode}_${this.difficulty}`);
+            const currentStrategy = this.adaptiveStrategies.get(this.getStrategyKey());
             if (currentStrategy) {
                 currentStrategy.riskTolerance = 'high';
                 console.log('⚔️ Adapting to more aggressive strategy due to high success rate');
@@ -361,10 +363,7 @@ Format: ACTION_NAME: Brief reason (max 50 chars)`;
 
     // Get current strategy for other modules
     getCurrentStrategy() {
-        const strategyKey = this.currentGameMode === 'creative' 
-            ? 'creative' 
-            : `survival_${this.difficulty}`;
-        return this.adaptiveStrategies.get(strategyKey) || this.adaptiveStrategies.get('survival_normal');
+        return this.adaptiveStrategies.get(this.getStrategyKey());
     }
 
     // Update health and track damage
@@ -379,11 +378,7 @@ Format: ACTION_NAME: Brief reason (max 50 chars)`;
             console.log(`💚 Health: ${newHealth}/20 (healed ${newHealth - oldHealth})`);
         }
         
-        if (newHealth === 0) {
-            this.performanceMetrics.deathCount++;
-            console.log('💀 Bot died! Learning from this experience...');
-            this.recordActionOutcome('death', false, { health: oldHealth });
-        }
+        // Deaths are counted from the bot_died event (see DeathManager)
     }
 
     // Get status for other modules
@@ -391,6 +386,9 @@ Format: ACTION_NAME: Brief reason (max 50 chars)`;
         return {
             gameMode: this.currentGameMode,
             difficulty: this.difficulty,
+            gameModeSource: this.gameModeSource,
+            strategyKey: this.getStrategyKey(),
+            adventureSettings: this.adventureSettings,
             health: this.bot.health,
             strategy: this.getCurrentStrategy(),
             performance: this.performanceMetrics,
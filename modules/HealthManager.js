@@ -0,0 +1,191 @@
+// modules/HealthManager.js - Liveness (/healthz) and readiness (/readyz) checks
+const fs = require('fs').promises;
+const path = require('path');
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const LAG_WINDOW = 10000; // ms of event loop samples behind each liveness answer
+const AI_PROBE_TIMEOUT = 5000;
+const STORE_CHECK_INTERVAL = 30000;
+
+class HealthManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        this.startTime = Date.now();
+        this.aiProbe = null; // { ok, checkedAt, error }
+        this.storeCheck = null; // { ok, checkedAt, error }
+
+        // Lag stats come from the last complete window so one slow tick doesn't flap the probe
+        this.loopDelay = monitorEventLoopDelay({ resolution: 20 });
+        this.loopDelay.enable();
+        this.lastLagWindow = { p99: 0, max: 0, mean: 0 };
+        this.lagTimer = setInterval(() => this.rotateLagWindow(), LAG_WINDOW);
+        this.lagTimer.unref();
+
+        console.log('🩺 HealthManager initialized');
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    rotateLagWindow() {
+        // Histogram values are nanoseconds (mean is NaN before the first sample)
+        this.lastLagWindow = {
+            p99: Math.round(this.loopDelay.percentile(99) / 1e6),
+            max: Math.round(this.loopDelay.max / 1e6),
+            mean: Math.round(this.loopDelay.mean / 1e6) || 0
+        };
+        this.loopDelay.reset();
+    }
+
+    // Liveness: only things a restart would fix
+    getLiveness() {
+        const limit = this.bot.config?.healthMaxEventLoopLag || 5000;
+        const memory = process.memoryUsage();
+
+        const checks = {
+            process: {
+                ok: true,
+                pid: process.pid,
+                uptime: Math.floor((Date.now() - this.startTime) / 1000),
+                rssBytes: memory.rss
+            },
+            eventLoop: {
+                ok: this.lastLagWindow.p99 <= limit,
+                lagP99Ms: this.lastLagWindow.p99,
+                lagMaxMs: this.lastLagWindow.max,
+                lagMeanMs: this.lastLagWindow.mean,
+                limitMs: limit
+            },
+            // Disconnects are readiness problems, but once reconnecting gives up only a restart helps
+            reconnect: {
+                ok: !this.managers.reconnect?.gaveUp,
+                gaveUp: !!this.managers.reconnect?.gaveUp
+            }
+        };
+
+        return this.summarize(checks);
+    }
+
+    // Readiness: can the bot do its job right now
+    async getReadiness() {
+        const [ai, learningStore] = await Promise.all([this.checkAi(), this.checkLearningStore()]);
+
+        const checks = {
+            client: this.checkClient(),
+            runtimeId: this.checkRuntimeId(),
+            ai,
+            learningStore
+        };
+
+        return this.summarize(checks);
+    }
+
+    summarize(checks) {
+        const ok = Object.values(checks).every(check => check.ok);
+        return { status: ok ? 'ok' : 'fail', timestamp: new Date().toISOString(), checks };
+    }
+
+    checkClient() {
+        if (this.bot.config?.simulationMode) {
+            return { ok: this.bot.connected, detail: 'simulation mode' };
+        }
+        if (!this.bot.client) {
+            return { ok: false, detail: 'Bedrock client not created' };
+        }
+        if (!this.bot.connected) {
+            return { ok: false, detail: 'Bedrock client not spawned', reconnecting: !!this.managers.reconnect?.reconnecting };
+        }
+        return { ok: true, detail: 'spawned' };
+    }
+
+    checkRuntimeId() {
+        if (this.bot.config?.simulationMode) {
+            return { ok: true, detail: 'simulation mode' };
+        }
+        const known = this.bot.runtimeId !== null && this.bot.runtimeId !== undefined;
+        return {
+            ok: known,
+            runtimeId: known ? String(this.bot.runtimeId) : null
+        };
+    }
+
+    // Reachable when the last AI call (or our own probe) within the interval succeeded
+    async checkAi() {
+        const config = this.bot.config || {};
+        const interval = config.aiHealthCheckInterval || 60000;
+        const fallback = config.aiFallbackEnabled !== false;
+
+        if (!this.bot.model) {
+            return { ok: fallback, state: fallback ? 'fallback' : 'unavailable', detail: 'No Gemini model configured' };
+        }
+
+        const ai = this.managers.metrics?.ai || {};
+        const now = Date.now();
+        const lastCall = Math.max(ai.lastSuccessAt || 0, ai.lastFailureAt || 0);
+
+        let reachable;
+        let error = null;
+        let checkedAt;
+        if (lastCall && now - lastCall < interval) {
+            reachable = lastCall === ai.lastSuccessAt;
+            error = reachable ? null : ai.lastError;
+            checkedAt = lastCall;
+        } else {
+            if (!this.aiProbe || now - this.aiProbe.checkedAt >= interval) {
+                this.aiProbe = await this.probeAi();
+            }
+            ({ ok: reachable, error, checkedAt } = this.aiProbe);
+        }
+
+        if (reachable) {
+            return { ok: true, state: 'reachable', checkedAt: new Date(checkedAt).toISOString() };
+        }
+        return {
+            ok: fallback,
+            state: fallback ? 'fallback' : 'unreachable',
+            error,
+            checkedAt: new Date(checkedAt).toISOString()
+        };
+    }
+
+    // countTokens checks the key and connectivity without paying for a generation
+    async probeAi() {
+        let timer;
+        try {
+            await Promise.race([
+                this.bot.model.countTokens('health check'),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('Gemini probe timed out')), AI_PROBE_TIMEOUT);
+                })
+            ]);
+            return { ok: true, checkedAt: Date.now(), error: null };
+        } catch (error) {
+            return { ok: false, checkedAt: Date.now(), error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async checkLearningStore() {
+        const dataPath = this.managers.learning?.dataPath || path.join(process.cwd(), 'data');
+
+        if (!this.storeCheck || Date.now() - this.storeCheck.checkedAt >= STORE_CHECK_INTERVAL) {
+            const probeFile = path.join(dataPath, `.readyz-${process.pid}`);
+            try {
+                await fs.mkdir(dataPath, { recursive: true });
+                await fs.writeFile(probeFile, String(Date.now()));
+                await fs.unlink(probeFile);
+                this.storeCheck = { ok: true, checkedAt: Date.now(), error: null };
+            } catch (error) {
+                this.storeCheck = { ok: false, checkedAt: Date.now(), error: error.message };
+            }
+        }
+
+        return { ok: this.storeCheck.ok, path: dataPath, error: this.storeCheck.error };
+    }
+}
+
+module.exports = HealthManager;
@@ -1,74 +1,168 @@
 // modules/InventoryManager.js
+const PacketInventory = require('./PacketInventory');
+const SimulatedInventory = require('./SimulatedInventory');
+
+// Weakest to strongest, for "at least diamond" style checks
+const MATERIAL_TIERS = ['leather', 'wooden', 'golden', 'chainmail', 'stone', 'iron', 'diamond', 'netherite'];
+
+// Share of full protection each armor piece gives at diamond tier
+const ARMOR_PIECE_WEIGHT = { helmet: 0.15, chestplate: 0.4, leggings: 0.3, boots: 0.15 };
+
+const HEALING_ITEMS = ['golden_apple', 'enchanted_golden_apple', 'potion', 'splash_potion'];
+
 class InventoryManager {
     constructor(bot) {
         this.bot = bot;
-        
-        // Initialize inventory
-        this.inventory = {
-            diamonds: 0,
-            iron: 0,
-            wood: 0,
-            enderPearls: 0,
-            blazeRods: 0,
-            obsidian: 0,
-            food: 0,
-            arrows: 0,
-            armor: 'none',
-            weapons: [],
-            tools: [],
-            eyesOfEnder: 0,
-            buildingBlocks: 0
-        };
+        this.managers = {};
+
+        // Real packets are always tracked; the simulated counters stand in when there is no server
+        this.packetInventory = new PacketInventory(bot);
+        this.simulatedInventory = new SimulatedInventory(bot);
+        this.backend = bot.config?.simulationMode ? this.simulatedInventory : this.packetInventory;
+
+        console.log(`🎒 InventoryManager initialized (${this.backend.name} backend)`);
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    useSimulatedBackend() {
+        this.backend = this.simulatedInventory;
+    }
+
+    // Packet handlers
+    handleItemStates(itemstates) {
+        this.packetInventory.handleItemStates(itemstates);
+    }
+
+    handleInventoryContent(packet) {
+        if (this.packetInventory.handleInventoryContent(packet)) {
+            this.bot.emit('inventory_updated', { source: 'inventory_content', windowId: packet.window_id });
+        }
+    }
+
+    handleInventorySlot(packet) {
+        if (this.packetInventory.handleInventorySlot(packet)) {
+            this.bot.emit('inventory_updated', { source: 'inventory_slot', windowId: packet.window_id, slot: packet.slot });
+        }
+    }
+
+    handleMobEquipment(packet) {
+        return this.packetInventory.handleMobEquipment(packet);
+    }
+
+    handleMobArmorEquipment(packet) {
+        return this.packetInventory.handleMobArmorEquipment(packet);
     }
 
     // Resource management methods
     addItem(item, quantity = 1) {
-        if (this.inventory.hasOwnProperty(item)) {
-            this.inventory[item] += quantity;
-            return true;
-        }
-        return false;
+        return this.backend.addItem(item, quantity);
     }
 
     removeItem(item, quantity = 1) {
-        if (this.inventory.hasOwnProperty(item) && this.inventory[item] >= quantity) {
-            this.inventory[item] -= quantity;
-            return true;
-        }
-        return false;
+        return this.backend.removeItem(item, quantity);
     }
 
     hasItem(item, quantity = 1) {
-        return this.inventory.hasOwnProperty(item) && this.inventory[item] >= quantity;
+        return this.getItemCount(item) >= quantity;
     }
 
     getItemCount(item) {
-        return this.inventory[item] || 0;
+        return this.backend.getItemCount(item);
     }
 
     addWeapon(weapon) {
-        if (!this.inventory.weapons.includes(weapon)) {
-            this.inventory.weapons.push(weapon);
-            return true;
-        }
-        return false;
+        return this.backend.addWeapon ? this.backend.addWeapon(weapon) : false;
     }
 
     addTool(tool) {
-        if (!this.inventory.tools.includes(tool)) {
-            this.inventory.tools.push(tool);
-            return true;
-        }
-        return false;
+        return this.backend.addTool ? this.backend.addTool(tool) : false;
     }
 
     setArmor(armorType) {
-        this.inventory.armor = armorType;
+        if (this.backend.setArmor) {
+            this.backend.setArmor(armorType);
+        }
+    }
+
+    // Equipment queries
+    getMaterialTier(itemName) {
+        const material = itemName ? itemName.split('_')[0] : null;
+        return MATERIAL_TIERS.indexOf(material === 'gold' ? 'golden' : material);
+    }
+
+    // True for the given item or a better material of the same kind (netherite sword counts as diamond)
+    hasEquipment(itemName) {
+        const [material, ...rest] = itemName.split('_');
+        const kind = rest.join('_');
+        const minTier = this.getMaterialTier(material);
+
+        return [...this.backend.getWeapons(), ...this.backend.getTools()].some(item =>
+            item.name.endsWith(`_${kind}`) && this.getMaterialTier(item.name) >= minTier
+        );
+    }
+
+    hasArmorSet(material) {
+        const minTier = MATERIAL_TIERS.indexOf(material);
+        return Object.values(this.backend.getArmorPieces()).every(piece =>
+            piece && this.getMaterialTier(piece.name) >= minTier
+        );
+    }
+
+    getArmorDescription() {
+        const pieces = Object.values(this.backend.getArmorPieces()).filter(Boolean);
+        if (pieces.length === 0) return 'none';
+
+        const materials = new Set(pieces.map(piece => piece.name.split('_')[0]));
+        if (pieces.length === 4 && materials.size === 1) {
+            const material = pieces[0].name.split('_')[0];
+            return `${material[0].toUpperCase()}${material.slice(1)} Armor Set`;
+        }
+        return pieces.map(piece => piece.displayName).join(', ');
+    }
+
+    // 0-1 protection estimate used by combat risk assessment
+    getArmorLevel() {
+        const pieces = this.backend.getArmorPieces();
+        const diamondTier = MATERIAL_TIERS.indexOf('diamond');
+
+        return Object.entries(pieces).reduce((level, [slot, piece]) => {
+            if (!piece) return level;
+            const tier = Math.max(0, this.getMaterialTier(piece.name)) + 1;
+            return level + ARMOR_PIECE_WEIGHT[slot] * Math.min(1, tier / (diamondTier + 1));
+        }, 0);
+    }
+
+    // Remaining durability (0-1) of the best weapon we carry, 0 when unarmed
+    getWeaponDurability() {
+        const weapons = this.backend.getWeapons();
+        if (weapons.length === 0) return 0;
+
+        const best = weapons.reduce((a, b) => (this.getMaterialTier(b.name) > this.getMaterialTier(a.name) ? b : a));
+        return best.durability ?? 1;
+    }
+
+    hasHealingItems() {
+        return HEALING_ITEMS.some(item => this.getItemCount(item) > 0);
+    }
+
+    getHeldItem() {
+        return this.backend.getHeldItem();
+    }
+
+    // Crafting only moves the simulated counters - the packet backend can't craft yet,
+    // so it must not announce or log gear it doesn't have
+    canCraft() {
+        return this.backend === this.simulatedInventory;
     }
 
     // Crafting methods
     async craftDiamondGear() {
-        if (this.inventory.diamonds >= 8) {
+        if (!this.canCraft()) return false;
+
+        if (this.getItemCount('diamonds') >= 8) {
             console.log('🔨 Crafting diamond equipment...');
             await this.bot.sendChat('🔨 Crafting diamond sword, pickaxe, and armor!');
             
@@ -85,10 +179,12 @@ class InventoryManager {
     }
 
     async craftEyesOfEnder() {
+        if (!this.canCraft()) return 0;
+
         console.log('👁️ Crafting eyes of ender...');
         await this.bot.sendChat('👁️ Crafting eyes of ender for stronghold search!');
         
-        const eyesCrafted = Math.min(this.inventory.enderPearls, this.inventory.blazeRods);
+        const eyesCrafted = Math.min(this.getItemCount('enderPearls'), this.getItemCount('blazeRods'));
         if (eyesCrafted > 0) {
             this.removeItem('enderPearls', eyesCrafted);
             this.removeItem('blazeRods', eyesCrafted);
@@ -122,84 +218,101 @@ class InventoryManager {
 
     // Resource requirement checking
     checkDiamondGearRequirements() {
-        return this.inventory.diamonds >= 8;
+        return this.getItemCount('diamonds') >= 8;
     }
 
     checkNetherExpeditionRequirements() {
-        return this.hasItem('obsidian', 10) && this.inventory.weapons.includes('Diamond Sword');
+        return this.hasItem('obsidian', 10) && this.hasEquipment('diamond_sword');
     }
 
     checkStrongholdSearchRequirements() {
-        return this.inventory.blazeRods >= 7 && this.inventory.enderPearls >= 12;
+        return this.getItemCount('blazeRods') >= 7 && this.getItemCount('enderPearls') >= 12;
     }
 
     checkEndFightRequirements() {
         return (
-            this.inventory.weapons.includes('Diamond Sword') &&
-            this.inventory.armor === 'Diamond Armor Set' &&
-            this.inventory.food >= 20 &&
-            this.inventory.arrows >= 64
+            this.hasEquipment('diamond_sword') &&
+            this.hasArmorSet('diamond') &&
+            this.getItemCount('food') >= 20 &&
+            this.getItemCount('arrows') >= 64
         );
     }
 
     // Inventory reporting
     getInventoryReport() {
-        return `📦 Key items: ${this.inventory.diamonds}💎 ${this.inventory.blazeRods}🔥 ${this.inventory.enderPearls}👁️ | Armor: ${this.inventory.armor}`;
+        return `📦 Key items: ${this.getItemCount('diamonds')}💎 ${this.getItemCount('blazeRods')}🔥 ${this.getItemCount('enderPearls')}👁️ | Armor: ${this.getArmorDescription()}`;
     }
 
     getDetailedInventory() {
-        const weapons = this.inventory.weapons.join(', ') || 'None';
-        const tools = this.inventory.tools.join(', ') || 'None';
-        
+        const describe = (items) => items.map(item => this.describeItem(item)).join(', ') || 'None';
+        const held = this.getHeldItem();
+
         return {
+            backend: this.backend.name,
             resources: {
-                diamonds: this.inventory.diamonds,
-                iron: this.inventory.iron,
-                obsidian: this.inventory.obsidian,
-                enderPearls: this.inventory.enderPearls,
-                blazeRods: this.inventory.blazeRods,
-                eyesOfEnder: this.inventory.eyesOfEnder,
-                food: this.inventory.food,
-                arrows: this.inventory.arrows
+                diamonds: this.getItemCount('diamonds'),
+                iron: this.getItemCount('iron'),
+                obsidian: this.getItemCount('obsidian'),
+                enderPearls: this.getItemCount('enderPearls'),
+                blazeRods: this.getItemCount('blazeRods'),
+                eyesOfEnder: this.getItemCount('eyesOfEnder'),
+                food: this.getItemCount('food'),
+                arrows: this.getItemCount('arrows')
             },
             equipment: {
-                armor: this.inventory.armor,
-                weapons: weapons,
-                tools: tools
-            }
+                armor: this.getArmorDescription(),
+                weapons: describe(this.backend.getWeapons()),
+                tools: describe(this.backend.getTools()),
+                held: held ? this.describeItem(held) : 'None'
+            },
+            slots: this.backend === this.packetInventory ? this.packetInventory.slots : null,
+            lastUpdate: this.backend === this.packetInventory ? this.packetInventory.lastUpdate : null
         };
     }
 
+    describeItem(item) {
+        const parts = [item.displayName];
+        if (item.enchantments?.length > 0) {
+            parts.push(`(${item.enchantments.map(e => `${e.name} ${e.level}`).join(', ')})`);
+        }
+        if (item.durability !== null && item.durability !== undefined && item.durability < 1) {
+            parts.push(`[${Math.round(item.durability * 100)}%]`);
+        }
+        return parts.join(' ');
+    }
+
     // Mission-specific inventory checks
     getMissingItems(phase) {
         const missing = [];
+        const count = (item) => this.getItemCount(item);
         
         switch (phase) {
             case 'preparation':
-                if (this.inventory.diamonds < 8) missing.push(`${8 - this.inventory.diamonds} more diamonds`);
-                if (this.inventory.iron < 10) missing.push(`${10 - this.inventory.iron} more iron`);
+                if (count('diamonds') < 8) missing.push(`${8 - count('diamonds')} more diamonds`);
+                if (count('iron') < 10) missing.push(`${10 - count('iron')} more iron`);
                 break;
                 
             case 'nether':
-                if (this.inventory.obsidian < 10) missing.push(`${10 - this.inventory.obsidian} obsidian`);
-                if (!this.inventory.weapons.includes('Diamond Sword')) missing.push('Diamond sword');
+                if (count('obsidian') < 10) missing.push(`${10 - count('obsidian')} obsidian`);
+                if (!this.hasEquipment('diamond_sword')) missing.push('Diamond sword');
                 break;
                 
             case 'stronghold':
-                if (this.inventory.blazeRods < 7) missing.push(`${7 - this.inventory.blazeRods} blaze rods`);
-                if (this.inventory.enderPearls < 12) missing.push(`${12 - this.inventory.enderPearls} ender pearls`);
+                if (count('blazeRods') < 7) missing.push(`${7 - count('blazeRods')} blaze rods`);
+                if (count('enderPearls') < 12) missing.push(`${12 - count('enderPearls')} ender pearls`);
                 break;
                 
             case 'end_fight':
-                if (this.inventory.food < 20) missing.push(`${20 - this.inventory.food} food items`);
-                if (this.inventory.arrows < 64) missing.push(`${64 - this.inventory.arrows} arrows`);
+                if (!this.hasArmorSet('diamond')) missing.push('Diamond armor set');
+                if (count('food') < 20) missing.push(`${20 - count('food')} food items`);
+                if (count('arrows') < 64) missing.push(`${64 - count('arrows')} arrows`);
                 break;
         }
         
         return missing;
     }
 
-    getInventoryStatus(phase) {
+    getInventoryStatus(phase = this.managers.mission?.currentPhase) {
         const missing = this.getMissingItems(phase);
         if (missing.length === 0) {
             return `✅ All required items for ${phase} phase obtained!`;
@@ -221,4 +334,4 @@ class InventoryManager {
     }
 }
 
-module.exports = InventoryManager;
\ No newline at end of file
+module.exports = InventoryManager;
@@ -1,6 +1,33 @@
 // LearningManager.js - AI Learning and Adaptation System
 const fs = require('fs').promises;
 const path = require('path');
+const { writeJsonAtomic } = require('./AtomicFile');
+
+const EXPORT_FORMAT = 'dragonbot-learning';
+const EXPORT_VERSION = 1;
+
+// Record lists and how many entries each keeps (matches the trimming in the learnFrom* methods)
+const RECORD_LIMITS = {
+    missionAttempts: 1000,
+    combatExperiences: 500,
+    navigationPatterns: 300,
+    playerInteractions: 200,
+    aiInteractions: 1000,
+    environmentalLearning: 500
+};
+
+// Categories that can be reset independently over the API
+const RESET_CATEGORIES = {
+    combat: ['combatExperiences'],
+    navigation: ['navigationPatterns'],
+    chat: ['playerInteractions', 'aiInteractions'],
+    missions: ['missionAttempts'],
+    strategies: ['successfulStrategies', 'failedStrategies']
+};
+
+const METRIC_FIELDS = ['totalMissions', 'successfulMissions', 'averageCompletionTime', 'deathCount', 'playersHelped'];
+
+const REPORT_NAME_PATTERN = /^learning_report_\d+$/;
 
 class LearningManager {
     constructor(bot) {
@@ -81,10 +108,7 @@ class LearningManager {
 
     async saveLearningData() {
         try {
-            await fs.writeFile(
-                this.learningFile, 
-                JSON.stringify(this.learningData, null, 2)
-            );
+            await writeJsonAtomic(this.learningFile, this.learningData);
         } catch (error) {
             console.error('Error saving learning data:', error);
         }
@@ -453,8 +477,10 @@ class LearningManager {
         const stats = this.getStats();
         const uptime = Date.now() - this.bot.sessionStartTime;
         
+        const generated = Date.now();
         const report = {
-            generated: new Date().toISOString(),
+            id: `learning_report_${generated}`,
+            generated: new Date(generated).toISOString(),
             session: {
                 uptime: uptime,
                 performance: this.bot.getPerformanceStats()
@@ -464,7 +490,7 @@ class LearningManager {
         };
 
         try {
-            const reportPath = path.join(this.dataPath, `learning_report_${Date.now()}.json`);
+            const reportPath = path.join(this.dataPath, `${report.id}.json`);
             await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
             console.log(`📋 Learning report saved: ${reportPath}`);
         } catch (error) {
@@ -503,6 +529,280 @@ class LearningManager {
 
         return insights;
     }
+
+    async listLearningReports() {
+        const files = await fs.readdir(this.dataPath).catch(() => []);
+        return files
+            .filter(file => file.endsWith('.json') && REPORT_NAME_PATTERN.test(path.basename(file, '.json')))
+            .map(file => {
+                const id = path.basename(file, '.json');
+                return { id, generated: new Date(Number(id.split('_').pop())).toISOString() };
+            })
+            .sort((a, b) => b.generated.localeCompare(a.generated));
+    }
+
+    async getLearningReport(id) {
+        // The id ends up in a file path - only accept the exact name format we write
+        if (!REPORT_NAME_PATTERN.test(id)) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.dataPath, `${id}.json`), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Data management - export, import, reset
+
+    exportLearningData() {
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            bot: this.bot.config?.username || null,
+            weights: this.learningWeights,
+            data: this.learningData
+        };
+    }
+
+    learningError(message, statusCode = 400, details = undefined) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        if (details) error.details = details;
+        return error;
+    }
+
+    // Accepts an export envelope or a bare learning_data.json; returns a list of problems
+    validateLearningDataset(payload) {
+        const errors = [];
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(payload)) {
+            return ['Dataset must be a JSON object'];
+        }
+
+        let data = payload;
+        if (payload.format !== undefined) {
+            if (payload.format !== EXPORT_FORMAT) errors.push(`Unknown format "${payload.format}"`);
+            if (payload.version !== EXPORT_VERSION) errors.push(`Unsupported version ${payload.version}`);
+            data = payload.data;
+            if (!isObject(data)) return [...errors, 'data must be an object'];
+        }
+
+        const knownFields = [...Object.keys(RECORD_LIMITS), 'successfulStrategies', 'failedStrategies', 'performanceMetrics'];
+        Object.keys(data).forEach(key => {
+            if (!knownFields.includes(key)) errors.push(`Unknown field "${key}"`);
+        });
+
+        Object.keys(RECORD_LIMITS).forEach(field => {
+            if (data[field] === undefined) return;
+            if (!Array.isArray(data[field])) {
+                errors.push(`${field} must be an array`);
+                return;
+            }
+            data[field].forEach((entry, index) => {
+                if (!isObject(entry)) {
+                    errors.push(`${field}[${index}] must be an object`);
+                } else if (typeof entry.timestamp !== 'string' || Number.isNaN(Date.parse(entry.timestamp))) {
+                    errors.push(`${field}[${index}].timestamp must be an ISO date`);
+                }
+            });
+        });
+
+        (data.missionAttempts || []).forEach((attempt, index) => {
+            if (isObject(attempt) && !['SUCCESS', 'FAILED'].includes(attempt.outcome)) {
+                errors.push(`missionAttempts[${index}].outcome must be SUCCESS or FAILED`);
+            }
+        });
+
+        ['successfulStrategies', 'failedStrategies'].forEach(field => {
+            if (data[field] === undefined) return;
+            if (!Array.isArray(data[field])) {
+                errors.push(`${field} must be an array`);
+                return;
+            }
+            const countField = field === 'successfulStrategies' ? 'successes' : 'failures';
+            data[field].forEach((strategy, index) => {
+                if (!isObject(strategy) || typeof strategy.name !== 'string') {
+                    errors.push(`${field}[${index}] must have a name`);
+                } else if (!Number.isInteger(strategy.uses) || !Number.isInteger(strategy[countField]) ||
+                    strategy[countField] > strategy.uses || strategy.uses < 0) {
+                    errors.push(`${field}[${index}] needs integer uses >= ${countField}`);
+                }
+            });
+        });
+
+        if (data.performanceMetrics !== undefined) {
+            if (!isObject(data.performanceMetrics)) {
+                errors.push('performanceMetrics must be an object');
+            } else {
+                Object.entries(data.performanceMetrics).forEach(([key, value]) => {
+                    if (!METRIC_FIELDS.includes(key)) {
+                        errors.push(`Unknown metric "${key}"`);
+                    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                        errors.push(`performanceMetrics.${key} must be a non-negative number`);
+                    }
+                });
+            }
+        }
+
+        // Cap the list so a bad upload doesn't produce a multi-megabyte error response
+        return errors.length > 50 ? [...errors.slice(0, 50), `...and ${errors.length - 50} more`] : errors;
+    }
+
+    // mode 'merge' adds the dataset to ours, 'replace' swaps ours out entirely
+    async importLearningData(payload, mode = 'merge') {
+        if (!['merge', 'replace'].includes(mode)) {
+            throw this.learningError('mode must be merge or replace');
+        }
+
+        const errors = this.validateLearningDataset(payload);
+        if (errors.length > 0) {
+            throw this.learningError('Learning dataset failed validation', 400, errors);
+        }
+
+        const incoming = payload.format !== undefined ? payload.data : payload;
+        const merged = mode === 'replace'
+            ? this.buildReplacement(incoming)
+            : this.mergeLearningData(this.learningData, incoming);
+
+        // Live data only changes once the new file is safely on disk
+        const backup = await this.backupLearningData(`import-${mode}`);
+        await writeJsonAtomic(this.learningFile, merged);
+        this.learningData = merged;
+        await this.saveStrategies();
+
+        const summary = Object.fromEntries(
+            Object.keys(RECORD_LIMITS).map(field => [field, (incoming[field] || []).length])
+        );
+        console.log(`📥 Learning data imported (${mode}) - backup at ${backup}`);
+        return { mode, imported: summary, backup: path.basename(backup), stats: this.getStats() };
+    }
+
+    buildReplacement(incoming) {
+        const data = JSON.parse(JSON.stringify(incoming));
+        Object.keys(RECORD_LIMITS).forEach(field => {
+            data[field] = (data[field] || []).slice(-RECORD_LIMITS[field]);
+        });
+        data.successfulStrategies = data.successfulStrategies || [];
+        data.failedStrategies = data.failedStrategies || [];
+        data.performanceMetrics = {
+            totalMissions: 0,
+            successfulMissions: 0,
+            averageCompletionTime: 0,
+            deathCount: 0,
+            playersHelped: 0,
+            ...data.performanceMetrics
+        };
+        return data;
+    }
+
+    mergeLearningData(current, incoming) {
+        const merged = JSON.parse(JSON.stringify(current));
+
+        // Identical records are skipped, so importing the same file twice doesn't double it
+        Object.keys(RECORD_LIMITS).forEach(field => {
+            const seen = new Set((merged[field] || []).map(entry => JSON.stringify(entry)));
+            const additions = (incoming[field] || []).filter(entry => !seen.has(JSON.stringify(entry)));
+            merged[field] = [...(merged[field] || []), ...additions]
+                .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+                .slice(-RECORD_LIMITS[field]);
+        });
+
+        // Strategy tallies have no per-use records to compare, so they add up
+        (incoming.successfulStrategies || []).forEach(strategy => {
+            const existing = merged.successfulStrategies.find(s => s.name === strategy.name);
+            if (!existing) {
+                merged.successfulStrategies.push({ contexts: [], ...strategy });
+                return;
+            }
+            const successes = existing.successes + strategy.successes;
+            existing.avgDuration = successes > 0
+                ? ((existing.avgDuration || 0) * existing.successes + (strategy.avgDuration || 0) * strategy.successes) / successes
+                : 0;
+            existing.uses += strategy.uses;
+            existing.successes = successes;
+            existing.successRate = existing.uses > 0 ? existing.successes / existing.uses : 0;
+            existing.bestTime = Math.min(existing.bestTime ?? Infinity, strategy.bestTime ?? Infinity);
+            existing.contexts = [...(existing.contexts || []), ...(strategy.contexts || [])].slice(-5);
+        });
+
+        (incoming.failedStrategies || []).forEach(strategy => {
+            const existing = merged.failedStrategies.find(s => s.name === strategy.name);
+            if (!existing) {
+                merged.failedStrategies.push({ reasons: [], contexts: [], ...strategy });
+                return;
+            }
+            existing.uses += strategy.uses;
+            existing.failures += strategy.failures;
+            existing.failureRate = existing.uses > 0 ? existing.failures / existing.uses : 0;
+            existing.reasons = [...(existing.reasons || []), ...(strategy.reasons || [])].slice(-10);
+            existing.contexts = [...(existing.contexts || []), ...(strategy.contexts || [])].slice(-5);
+        });
+
+        // Mission counters follow the merged attempts; the rest have no records behind them and add up
+        const incomingMetrics = incoming.performanceMetrics || {};
+        const completed = merged.missionAttempts.filter(attempt => attempt.outcome === 'SUCCESS');
+        merged.performanceMetrics = {
+            ...merged.performanceMetrics,
+            totalMissions: Math.max(merged.performanceMetrics.totalMissions, merged.missionAttempts.length),
+            successfulMissions: Math.max(merged.performanceMetrics.successfulMissions, completed.length),
+            averageCompletionTime: completed.length > 0
+                ? completed.reduce((sum, mission) => sum + (mission.duration || 0), 0) / completed.length
+                : merged.performanceMetrics.averageCompletionTime,
+            deathCount: merged.performanceMetrics.deathCount + (incomingMetrics.deathCount || 0),
+            playersHelped: merged.performanceMetrics.playersHelped + (incomingMetrics.playersHelped || 0)
+        };
+
+        return merged;
+    }
+
+    async resetLearningCategories(categories) {
+        const unknown = (categories || []).filter(category => !RESET_CATEGORIES[category]);
+        if (!Array.isArray(categories) || categories.length === 0 || unknown.length > 0) {
+            throw this.learningError(
+                `categories must list one or more of: ${Object.keys(RESET_CATEGORIES).join(', ')}`,
+                400,
+                unknown.length > 0 ? unknown.map(category => `Unknown category "${category}"`) : undefined
+            );
+        }
+
+        const backup = await this.backupLearningData(`reset-${categories.join('-')}`);
+        const cleared = {};
+
+        categories.forEach(category => {
+            RESET_CATEGORIES[category].forEach(field => {
+                cleared[field] = this.learningData[field].length;
+                this.learningData[field] = [];
+            });
+
+            const metrics = this.learningData.performanceMetrics;
+            if (category === 'missions') {
+                metrics.totalMissions = 0;
+                metrics.successfulMissions = 0;
+                metrics.averageCompletionTime = 0;
+            } else if (category === 'combat') {
+                metrics.deathCount = 0;
+            } else if (category === 'chat') {
+                metrics.playersHelped = 0;
+            }
+        });
+
+        await writeJsonAtomic(this.learningFile, this.learningData);
+        await this.saveStrategies();
+
+        console.log(`🧹 Learning data reset: ${categories.join(', ')} - backup at ${backup}`);
+        return { cleared, backup: path.basename(backup), stats: this.getStats() };
+    }
+
+    async backupLearningData(label) {
+        await fs.mkdir(this.dataPath, { recursive: true });
+        const backupFile = path.join(this.dataPath, `learning_backup_${Date.now()}_${label}.json`);
+        await writeJsonAtomic(backupFile, this.exportLearningData());
+        return backupFile;
+    }
 }
 
 module.exports = LearningManager;
\ No newline at end of file
@@ -0,0 +1,206 @@
+// modules/MetricsManager.js - Prometheus text-format metrics for the /metrics endpoint
+const { PHASES: MISSION_PHASES } = require('./MissionManager');
+
+// Seconds - AI calls range from quick chat replies to long research prompts
+const AI_LATENCY_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class MetricsManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        // Own counters so they stay monotonic across reconnects (bot.performance resets per session)
+        this.counters = {
+            packetsReceived: 0,
+            packetsSent: 0,
+            errors: 0,
+            navigationSuccesses: 0,
+            navigationFailures: 0
+        };
+
+        this.ai = {
+            calls: 0,
+            failures: 0,
+            latencySum: 0,
+            buckets: AI_LATENCY_BUCKETS.map(() => 0),
+            // Read by HealthManager for the /readyz AI check
+            lastSuccessAt: null,
+            lastFailureAt: null,
+            lastError: null
+        };
+
+        this.startTime = Date.now();
+        this.setupCounters();
+
+        if (bot.model) {
+            this.instrumentModel(bot.model);
+        }
+
+        console.log(`📈 MetricsManager initialized${bot.config?.metricsEnabled ? '' : ' (/metrics disabled)'}`);
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+
+        // navigateToTarget reports on the manager's own emitter, navigateTo on the bot
+        if (managers.navigation && typeof managers.navigation.on === 'function') {
+            managers.navigation.on('navigation_completed', () => this.counters.navigationSuccesses++);
+            managers.navigation.on('navigation_failed', () => this.counters.navigationFailures++);
+        }
+    }
+
+    setupCounters() {
+        this.bot.on('packet_received', () => this.counters.packetsReceived++);
+        this.bot.on('packet_sent', () => this.counters.packetsSent++);
+        this.bot.on('error', () => this.counters.errors++);
+        this.bot.on('navigation_completed', () => this.counters.navigationSuccesses++);
+        this.bot.on('navigation_failed', () => this.counters.navigationFailures++);
+    }
+
+    // Every manager shares bot.model, so timing generateContent here covers all AI calls
+    instrumentModel(model) {
+        if (!model || model.__metricsInstrumented) return;
+
+        const generateContent = model.generateContent.bind(model);
+        model.generateContent = async (...args) => {
+            const start = Date.now();
+            this.ai.calls++;
+            try {
+                const result = await generateContent(...args);
+                this.ai.lastSuccessAt = Date.now();
+                return result;
+            } catch (error) {
+                this.ai.failures++;
+                this.ai.lastFailureAt = Date.now();
+                this.ai.lastError = error.message;
+                throw error;
+            } finally {
+                this.observeAiLatency((Date.now() - start) / 1000);
+            }
+        };
+        model.__metricsInstrumented = true;
+    }
+
+    observeAiLatency(seconds) {
+        this.ai.latencySum += seconds;
+        AI_LATENCY_BUCKETS.forEach((bound, index) => {
+            if (seconds <= bound) this.ai.buckets[index]++;
+        });
+    }
+
+    isEnabled() {
+        return !!this.bot.config?.metricsEnabled;
+    }
+
+    // Prometheus exposition format 0.0.4
+    collect() {
+        const lines = [];
+        const botLabel = { bot: this.bot.config?.username || 'unknown' };
+
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            samples.forEach(([labels, value, suffix = '']) => {
+                lines.push(`${name}${suffix}${this.formatLabels({ ...botLabel, ...labels })} ${this.formatValue(value)}`);
+            });
+        };
+
+        // Connection and traffic
+        metric('dragonbot_connected', 'gauge', 'Whether the bot is connected to the server', [[{}, this.bot.connected ? 1 : 0]]);
+        metric('dragonbot_packets_received_total', 'counter', 'Packets received from the server', [[{}, this.counters.packetsReceived]]);
+        metric('dragonbot_packets_sent_total', 'counter', 'Packets sent to the server', [[{}, this.counters.packetsSent]]);
+        metric('dragonbot_errors_total', 'counter', 'Errors emitted by the bot', [[{}, this.counters.errors]]);
+
+        // Event processing
+        const eventStats = this.managers.event?.eventStats;
+        if (eventStats) {
+            metric('dragonbot_events_total', 'counter', 'Events processed by EventManager',
+                Object.entries(eventStats.eventCounts).map(([event, count]) => [{ event }, count]));
+            metric('dragonbot_event_handler_errors_total', 'counter', 'Event handlers that threw',
+                [[{}, eventStats.totalErrors || 0]]);
+
+            const performance = Object.entries(eventStats.performanceMetrics);
+            metric('dragonbot_event_processing_seconds', 'summary', 'Event handler processing time',
+                performance.flatMap(([event, stats]) => [
+                    [{ event }, stats.totalTime / 1000, '_sum'],
+                    [{ event }, stats.count, '_count']
+                ]));
+            metric('dragonbot_event_processing_max_seconds', 'gauge', 'Slowest event handler run',
+                performance.map(([event, stats]) => [{ event }, stats.maxTime / 1000]));
+        }
+
+        // AI
+        metric('dragonbot_ai_calls_total', 'counter', 'Gemini generateContent calls', [[{}, this.ai.calls]]);
+        metric('dragonbot_ai_failures_total', 'counter', 'Gemini calls that failed', [[{}, this.ai.failures]]);
+        metric('dragonbot_ai_latency_seconds', 'histogram', 'Gemini call latency', [
+            ...AI_LATENCY_BUCKETS.map((bound, index) => [{ le: String(bound) }, this.ai.buckets[index], '_bucket']),
+            [{ le: '+Inf' }, this.ai.calls, '_bucket'],
+            [{}, this.ai.latencySum, '_sum'],
+            [{}, this.ai.calls, '_count']
+        ]);
+
+        // Combat
+        const combatStats = this.managers.combat?.combatStats;
+        if (combatStats) {
+            metric('dragonbot_combat_fights_total', 'counter', 'Fights finished', [[{}, combatStats.totalFights]]);
+            metric('dragonbot_combat_outcomes_total', 'counter', 'Fight outcomes', [
+                [{ outcome: 'win' }, combatStats.wins],
+                [{ outcome: 'loss' }, combatStats.losses],
+                [{ outcome: 'escape' }, combatStats.escapes]
+            ]);
+            metric('dragonbot_combat_kill_streak', 'gauge', 'Current kill streak', [[{}, combatStats.killStreak]]);
+            metric('dragonbot_in_combat', 'gauge', 'Whether the bot is fighting', [[{}, this.managers.combat.inCombat ? 1 : 0]]);
+        }
+
+        // Navigation
+        metric('dragonbot_navigation_total', 'counter', 'Navigation attempts by result', [
+            [{ result: 'success' }, this.counters.navigationSuccesses],
+            [{ result: 'failure' }, this.counters.navigationFailures]
+        ]);
+
+        // Mission
+        const mission = this.managers.mission;
+        if (mission) {
+            metric('dragonbot_mission_phase', 'gauge', 'Current mission phase (1 for the active phase)',
+                MISSION_PHASES.map(phase => [{ phase }, mission.currentPhase === phase ? 1 : 0]));
+            metric('dragonbot_mission_phase_index', 'gauge', 'Current mission phase as a number (0 = waiting)',
+                [[{}, Math.max(0, MISSION_PHASES.indexOf(mission.currentPhase))]]);
+            metric('dragonbot_mission_active', 'gauge', 'Whether the mission is running', [[{}, mission.missionActive ? 1 : 0]]);
+        }
+
+        // Player state
+        metric('dragonbot_health', 'gauge', 'Bot health points', [[{}, this.bot.health]]);
+        metric('dragonbot_food', 'gauge', 'Bot food level', [[{}, this.bot.food]]);
+        metric('dragonbot_players_online', 'gauge', 'Players tracked nearby', [[{}, this.bot.players?.size || 0]]);
+        metric('dragonbot_entities_tracked', 'gauge', 'Entities tracked', [[{}, this.bot.entities?.size || 0]]);
+
+        // Process
+        const memory = process.memoryUsage();
+        metric('dragonbot_process_memory_bytes', 'gauge', 'Process memory usage', [
+            [{ type: 'rss' }, memory.rss],
+            [{ type: 'heap_used' }, memory.heapUsed],
+            [{ type: 'heap_total' }, memory.heapTotal],
+            [{ type: 'external' }, memory.external]
+        ]);
+        metric('dragonbot_uptime_seconds', 'gauge', 'Seconds since the metrics manager started',
+            [[{}, (Date.now() - this.startTime) / 1000]]);
+
+        return lines.join('\n') + '\n';
+    }
+
+    formatLabels(labels) {
+        const pairs = Object.entries(labels).map(([key, value]) =>
+            `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+        );
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+
+    formatValue(value) {
+        if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+        if (value === Infinity) return '+Inf';
+        if (value === -Infinity) return '-Inf';
+        return String(value);
+    }
+}
+
+module.exports = MetricsManager;
@@ -1,4 +1,9 @@
 // modules/MissionManager.js
+const MISSION_PHASES = ['waiting', 'research', 'preparation', 'nether', 'stronghold', 'end_fight', 'victory'];
+
+// Lifecycle states driven through the /mission API
+const MISSION_STATES = ['idle', 'running', 'paused', 'aborted', 'completed'];
+
 class MissionManager {
     constructor(bot) {
         this.bot = bot;
@@ -9,6 +14,10 @@ class MissionManager {
         this.currentPhase = 'waiting'; // waiting, research, preparation, nether, stronghold, end_fight
         this.currentTask = null;
         this.progressLog = [];
+        this.pendingPhase = null; // Phase held back until conditions allow (e.g. daylight)
+        this.missionState = 'idle'; // idle, running, paused, aborted, completed
+        this.stateChangedAt = Date.now();
+        this.missionRun = 0; // Bumped by every start/resume/reset - a superseded start chain stops at its next await
         
         // Research data
         this.research = {
@@ -27,14 +36,18 @@ class MissionManager {
     // ADD MISSING METHOD: getCurrentStatus
     getCurrentStatus() {
         return {
+            missionState: this.missionState,
+            stateChangedAt: new Date(this.stateChangedAt).toISOString(),
             missionActive: this.missionActive,
             missionStarted: this.missionStarted,
             currentPhase: this.currentPhase,
             currentTask: this.currentTask,
+            pendingPhase: this.pendingPhase ? this.pendingPhase.phase : null,
             currentGoal: this.research.currentGoal || 'Waiting for mission start',
             strategy: this.research.currentStrategy || 'No strategy set',
             adaptiveStrategy: this.adaptiveStrategy,
             progressCount: this.progressLog.length,
+            recentProgress: this.progressLog.slice(-20),
             lastProgress: this.progressLog.length > 0 ? this.progressLog[this.progressLog.length - 1] : null
         };
     }
@@ -198,30 +211,40 @@ Always respond with determination and focus on the mission. Keep responses under
         }
     }
 
-    async startEnderDragonMission() {
+    async startEnderDragonMission(source = 'player_join') {
         if (this.missionStarted) return;
         
         this.missionStarted = true;
         this.missionActive = true;
         this.currentPhase = 'research';
+        this.setMissionState('running');
+        const run = ++this.missionRun;
         
         console.log('🚀 ENDER DRAGON MISSION INITIATED!');
+        this.bot.emit('mission_started', { type: 'ender_dragon', phase: this.currentPhase, source });
         await this.safeSendChat('🐉 MISSION START! Time to defeat the Ender Dragon! Let me research our strategy...');
+        if (!this.isCurrentRun(run)) return;
         
         this.logProgress('Mission initiated - Beginning research phase');
-        await this.conductEnderDragonResearch();
+        await this.conductEnderDragonResearch(run);
     }
 
-    async conductEnderDragonResearch() {
+    // False once the mission was paused, aborted or reset (and maybe started again) since `run` began
+    isCurrentRun(run) {
+        return this.missionRun === run && this.missionState === 'running';
+    }
+
+    async conductEnderDragonResearch(run = this.missionRun) {
         console.log('🔬 Conducting Ender Dragon research...');
         await this.safeSendChat('📚 Researching Ender Dragon tactics... Give me a moment!');
+        if (!this.isCurrentRun(run)) return;
         
         try {
             // Check if bot has AI model available
             if (!this.bot.model) {
                 console.log('⚠️ AI model not available, using basic strategy');
                 await this.setBasicStrategy();
-                await this.startPreparationPhase();
+                await this.startPreparationPhase(run);
                 return;
             }
 
@@ -238,26 +261,31 @@ Always respond with determination and focus on the mission. Keep responses under
 Be specific about quantities and crafting recipes. This is for Minecraft Bedrock Edition.`;
 
             const result = await this.bot.model.generateContent(researchPrompt);
+            if (!this.isCurrentRun(run)) return;
             const researchResponse = result.response.text();
             
             this.research.enderDragonKnowledge = researchResponse;
-            await this.parseResearchForStrategy(researchResponse);
+            await this.parseResearchForStrategy(researchResponse, run);
+            if (!this.isCurrentRun(run)) return;
             
             console.log('✅ Research complete!');
             await this.safeSendChat('🧠 Research complete! I now have a strategy to defeat the dragon!');
+            if (!this.isCurrentRun(run)) return;
             
             this.logProgress('Research phase completed');
-            await this.startPreparationPhase();
+            await this.startPreparationPhase(run);
             
         } catch (error) {
             console.error('❌ Research failed:', error);
+            if (!this.isCurrentRun(run)) return;
             await this.safeSendChat('🤔 Research hit a snag, but I know the basics! Let\'s start preparing!');
+            if (!this.isCurrentRun(run)) return;
             await this.setBasicStrategy();
-            await this.startPreparationPhase();
+            await this.startPreparationPhase(run);
         }
     }
 
-    async parseResearchForStrategy(research) {
+    async parseResearchForStrategy(research, run = this.missionRun) {
         try {
             if (!this.bot.model) {
                 await this.setBasicStrategy();
@@ -277,6 +305,8 @@ NEXT_GOAL: what to do immediately
 STRATEGY: brief strategy summary`;
 
             const result = await this.bot.model.generateContent(strategyPrompt);
+            // A reset while the model was thinking cleared the research this would fill in
+            if (!this.isCurrentRun(run)) return;
             const parsed = result.response.text();
             
             const lines = parsed.split('\n');
@@ -306,9 +336,11 @@ STRATEGY: brief strategy summary`;
         this.research.currentStrategy = 'Gather diamonds, create equipment, explore Nether for blaze rods and ender pearls, find stronghold, defeat dragon';
     }
 
-    async startPreparationPhase() {
+    async startPreparationPhase(run = this.missionRun) {
+        if (!this.isCurrentRun(run)) return;
         this.currentPhase = 'preparation';
         await this.safeSendChat(`🎯 Phase 1: Preparation! Goal: ${this.research.currentGoal}`);
+        if (!this.isCurrentRun(run)) return;
         
         console.log('📋 Required items:', this.research.requiredItems);
         console.log('🎯 Current goal:', this.research.currentGoal);
@@ -323,8 +355,28 @@ STRATEGY: brief strategy summary`;
         }
     }
 
-    async advanceMissionPhase(newPhase) {
+    // Walking to a nether portal at nightfall means fighting the whole way there
+    shouldWaitForDaylight(phase) {
+        const time = this.bot.time;
+        return phase === 'nether' &&
+            this.bot.worldState?.dimension === 'overworld' &&
+            !!time && (time.phase === 'dusk' || time.phase === 'night');
+    }
+
+    async advanceMissionPhase(newPhase, reason = null, options = {}) {
+        if (!options.force && this.shouldWaitForDaylight(newPhase)) {
+            this.pendingPhase = { phase: newPhase, reason };
+            this.currentTask = 'waiting_for_daylight';
+            this.logProgress(`Holding ${newPhase} phase until daylight (${this.bot.time.clock})`);
+            await this.safeSendChat('🌙 Night is falling - we head for the Nether at sunrise!');
+            return false;
+        }
+        
+        this.pendingPhase = null;
+        const oldPhase = this.currentPhase;
         this.currentPhase = newPhase;
+        this.logProgress(`Phase ${oldPhase} → ${newPhase}${reason ? ` (${reason})` : ''}`);
+        this.bot.emit('mission_phase_changed', { from: oldPhase, to: newPhase, reason });
         this.setupGeminiContext(); // Update context with new phase
         
         switch (newPhase) {
@@ -359,6 +411,9 @@ STRATEGY: brief strategy summary`;
         this.logProgress('MISSION COMPLETED: Ender Dragon defeated successfully!');
         this.currentPhase = 'victory';
         this.currentTask = 'celebrating';
+        this.missionActive = false;
+        this.setMissionState('completed');
+        this.bot.emit('mission_completed', { type: 'ender_dragon', phase: 'victory' });
         
         await this.bot.delay(3000);
         await this.safeSendChat('🐉➡️💀 From zero to dragon slayer! What an epic journey!');
@@ -382,12 +437,21 @@ STRATEGY: brief strategy summary`;
 
     async restartMission() {
         await this.safeSendChat('🔄 Restarting dragon mission! Back to the beginning!');
+        this.clearMissionState();
+        
+        setTimeout(() => this.startEnderDragonMission('restart'), 2000);
+    }
+
+    clearMissionState() {
+        this.missionRun++;
         this.missionStarted = false;
         this.missionActive = false;
         this.currentPhase = 'waiting';
         this.currentTask = null;
         this.progressLog = [];
+        this.pendingPhase = null;
         this.adaptiveStrategy = null; // Reset adaptive strategy
+        this.setMissionState('idle');
         
         // Reset research
         this.research = {
@@ -396,8 +460,132 @@ STRATEGY: brief strategy summary`;
             requiredItems: [],
             currentGoal: ''
         };
-        
-        setTimeout(() => this.startEnderDragonMission(), 2000);
+        this.setupGeminiContext();
+    }
+
+    // Mission lifecycle API - each action validates the current state and returns the new status
+    setMissionState(state) {
+        if (!MISSION_STATES.includes(state)) {
+            throw new Error(`Unknown mission state: ${state}`);
+        }
+        this.missionState = state;
+        this.stateChangedAt = Date.now();
+    }
+
+    lifecycleError(message, statusCode = 409) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    requireState(action, ...allowed) {
+        if (!allowed.includes(this.missionState)) {
+            throw this.lifecycleError(`Cannot ${action}: mission is ${this.missionState}`);
+        }
+    }
+
+    startMission() {
+        this.requireState('start', 'idle');
+
+        // Research and preparation take a while - report the new state straight away
+        this.startEnderDragonMission('api').catch(error => {
+            console.error('❌ Mission start failed:', error);
+        });
+        return this.getCurrentStatus();
+    }
+
+    pauseMission(reason = 'requested') {
+        this.requireState('pause', 'running');
+
+        this.missionActive = false;
+        this.setMissionState('paused');
+        this.haltActivity(true);
+
+        this.logProgress(`Mission paused during ${this.currentPhase} phase (${reason})`);
+        this.bot.emit('mission_paused', { phase: this.currentPhase, reason });
+        return this.getCurrentStatus();
+    }
+
+    resumeMission() {
+        this.requireState('resume', 'paused');
+
+        this.missionActive = true;
+        this.setMissionState('running');
+        this.haltActivity(false);
+
+        // The pause stopped the start chain; research never finished, so run it again
+        const run = ++this.missionRun;
+        if (this.currentPhase === 'research') {
+            this.conductEnderDragonResearch(run).catch(error => {
+                console.error('❌ Mission research failed:', error);
+            });
+        }
+
+        this.logProgress(`Mission resumed in ${this.currentPhase} phase`);
+        this.bot.emit('mission_resumed', { phase: this.currentPhase });
+        return this.getCurrentStatus();
+    }
+
+    resetMission() {
+        if (this.missionState === 'idle' && !this.missionStarted) {
+            throw this.lifecycleError('Mission has not been started');
+        }
+
+        const previous = { state: this.missionState, phase: this.currentPhase };
+        // Stop whatever the old mission was doing, but leave the loops free for the next one
+        this.haltActivity(true);
+        this.haltActivity(false);
+        this.clearMissionState();
+
+        console.log('🔄 Mission reset');
+        this.bot.emit('mission_reset', { previousState: previous.state, previousPhase: previous.phase });
+        return this.getCurrentStatus();
+    }
+
+    abortMission(reason = 'requested') {
+        this.requireState('abort', 'running', 'paused');
+
+        const phase = this.currentPhase;
+        this.missionActive = false;
+        this.pendingPhase = null;
+        this.setMissionState('aborted');
+        this.haltActivity(true);
+
+        this.logProgress(`Mission aborted during ${phase} phase (${reason})`);
+        this.bot.emit('mission_aborted', { phase, reason });
+        return this.getCurrentStatus();
+    }
+
+    skipToPhase(phase) {
+        if (!MISSION_PHASES.includes(phase) || phase === 'waiting') {
+            throw this.lifecycleError(`Unknown mission phase: ${phase}`, 400);
+        }
+        this.requireState('skip phases', 'running');
+        if (phase === this.currentPhase) {
+            throw this.lifecycleError(`Mission is already in ${phase} phase`);
+        }
+
+        const from = this.currentPhase;
+        // Phase entry actions can run for minutes; the phase itself changes synchronously
+        this.advanceMissionPhase(phase, 'skipped via API', { force: true }).catch(error => {
+            console.error(`❌ Failed to enter ${phase} phase:`, error);
+        });
+
+        this.bot.emit('mission_phase_skipped', { from, to: phase });
+        return this.getCurrentStatus();
+    }
+
+    // Pausing must actually stop the movement and combat loops, not just flip a flag
+    haltActivity(halted) {
+        const navigation = this.bot.navigationManager;
+        const combat = this.bot.combatManager;
+
+        if (navigation && typeof navigation.setPaused === 'function') {
+            navigation.setPaused(halted);
+        }
+        if (combat && typeof combat.setPaused === 'function') {
+            combat.setPaused(halted);
+        }
     }
 
     async briefNewPlayer(playerName) {
@@ -441,12 +629,51 @@ STRATEGY: brief strategy summary`;
             case 'mission_completed':
                 // Handle mission completion events
                 break;
+            case 'dimension_changed':
+                await this.handleDimensionChange(data);
+                break;
+            case 'day_phase_changed':
+                await this.handleDayPhaseChange(data);
+                break;
             default:
                 // Handle other events as needed
                 break;
         }
     }
 
+    // Portals move the mission forward; never backwards, and not when respawning after a death
+    async handleDimensionChange(change) {
+        this.logProgress(`Dimension changed: ${change.old} → ${change.dimension}${change.respawn ? ' (respawn)' : ''}`);
+
+        if (!this.missionActive || change.respawn) return;
+
+        let targetPhase = null;
+        let reason = `entered ${change.dimension}`;
+        if (change.dimension === 'nether') {
+            targetPhase = 'nether';
+        } else if (change.dimension === 'end') {
+            targetPhase = 'end_fight';
+        } else if (change.dimension === 'overworld' && change.old === 'nether') {
+            // Back from the nether with blaze rods - time to find the stronghold
+            targetPhase = 'stronghold';
+            reason = 'returned from nether';
+        }
+
+        if (targetPhase && MISSION_PHASES.indexOf(targetPhase) > MISSION_PHASES.indexOf(this.currentPhase)) {
+            await this.advanceMissionPhase(targetPhase, reason);
+        }
+    }
+
+    async handleDayPhaseChange(change) {
+        if (!this.pendingPhase || change.phase === 'dusk' || change.phase === 'night') return;
+        if (this.missionState !== 'running') return;
+        
+        const pending = this.pendingPhase;
+        this.currentTask = null;
+        this.logProgress(`Daylight is back (${change.time.clock}) - resuming ${pending.phase} phase`);
+        await this.advanceMissionPhase(pending.phase, pending.reason);
+    }
+
     // ADD: Method to handle Ender Dragon spotted
     async handleEnderDragonSpotted(dragon) {
         console.log('🐉 MissionManager: Ender Dragon spotted!');
@@ -458,4 +685,6 @@ STRATEGY: brief strategy summary`;
     }
 }
 
+MissionManager.PHASES = MISSION_PHASES;
+
 module.exports = MissionManager;
\ No newline at end of file
@@ -20,6 +20,13 @@ class NavigationManager extends EventEmitter {
         this.jumpHeight = 1.0;
         this.followDistance = 3.0;
         this.pathfindingEnabled = true;
+        this.positionTrackingStarted = false;
+        this.stuckCheckInterval = null;
+        this.paused = false; // Set while the mission is paused or aborted
+        this.followingPlayer = null;
+        // Runs own the navigation state until they end or a newer run replaces them
+        this.currentRun = null;
+        this.followRun = null;
         
         // Ender Dragon specific locations
         this.enderDragonLocations = {
@@ -47,13 +54,20 @@ class NavigationManager extends EventEmitter {
     }
 
     startPositionTracking() {
+        // Start from the position the server gave us in start_game
+        this.lastPosition = { ...this.bot.position };
+
+        // onConnect runs again after every reconnect - only register once
+        if (this.positionTrackingStarted) return;
+        this.positionTrackingStarted = true;
+
         // Track position changes
         this.bot.on('position_update', (position) => {
             this.updatePosition(position);
         });
 
         // Check for stuck detection every 5 seconds
-        setInterval(() => {
+        this.stuckCheckInterval = setInterval(() => {
             this.checkIfStuck();
         }, 5000);
     }
@@ -124,38 +138,65 @@ class NavigationManager extends EventEmitter {
         if (!target) {
             throw new Error('Navigation target is required');
         }
+        if (this.paused) {
+            console.log('⏸️ Navigation paused - ignoring new target');
+            return false;
+        }
 
+        // options.signal lets the caller stop this run without touching a newer one
+        const { signal, ...navigationOptions } = options;
+        if (this.currentRun) this.currentRun.stopped = true;
+        const run = { target, stopped: false };
+        this.currentRun = run;
         this.currentTarget = target;
         this.isNavigating = true;
+
+        const onAbort = () => this.releaseRun(run);
+        if (signal) {
+            if (signal.aborted) onAbort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
         
         const config = {
-            precision: options.precision || 2.0,
-            timeout: options.timeout || 30000,
-            avoidDanger: options.avoidDanger !== false,
-            ...options
+            precision: navigationOptions.precision || 2.0,
+            timeout: navigationOptions.timeout || 30000,
+            avoidDanger: navigationOptions.avoidDanger !== false,
+            ...navigationOptions
         };
 
         console.log(`🧭 Navigating to target: ${JSON.stringify(target)}`);
         this.emit('navigation_started', { target, config });
 
         try {
-            await this.executeNavigation(target, config);
+            await this.executeNavigation(target, config, run);
             console.log('✅ Navigation completed successfully');
             this.emit('navigation_completed', { target, success: true });
+            return true;
         } catch (error) {
             console.log('❌ Navigation failed:', error.message);
             this.emit('navigation_failed', { target, error: error.message });
+            return false;
         } finally {
-            this.isNavigating = false;
-            this.currentTarget = null;
+            if (signal) signal.removeEventListener('abort', onAbort);
+            this.releaseRun(run);
         }
     }
 
-    async executeNavigation(target, config) {
+    // Stops the run and clears the shared state, unless a newer run has taken it over
+    releaseRun(run) {
+        run.stopped = true;
+        if (this.currentRun !== run) return;
+
+        this.currentRun = null;
+        this.isNavigating = false;
+        this.currentTarget = null;
+    }
+
+    async executeNavigation(target, config, run) {
         const startTime = Date.now();
         const maxTime = config.timeout;
 
-        while (this.isNavigating && (Date.now() - startTime) < maxTime) {
+        while (!run.stopped && (Date.now() - startTime) < maxTime) {
             const currentDistance = this.calculateDistance(this.lastPosition, target);
             
             if (currentDistance <= config.precision) {
@@ -169,9 +210,10 @@ class NavigationManager extends EventEmitter {
             await this.bot.delay(500); // Prevent spam
         }
 
-        if ((Date.now() - startTime) >= maxTime) {
-            throw new Error('Navigation timeout');
+        if (run.stopped) {
+            throw new Error('Navigation stopped');
         }
+        throw new Error('Navigation timeout');
     }
 
     calculateNextStep(current, target) {
@@ -200,7 +242,7 @@ class NavigationManager extends EventEmitter {
         try {
             // Send movement packet
             this.bot.client.write('move_player', {
-                runtime_id: this.bot.runtimeId,
+                runtime_id: Number(this.bot.runtimeId),
                 position: position,
                 pitch: 0,
                 yaw: this.calculateYaw(this.lastPosition, position),
@@ -256,8 +298,9 @@ class NavigationManager extends EventEmitter {
 
     async teleportToSafeLocation() {
         // Try to teleport to a known safe location
+        const worldSpawn = this.managers.world?.getSpawnPosition() || { x: 0, y: 64, z: 0 };
         const safeLocations = [
-            { x: 0, y: 64, z: 0 }, // World spawn
+            worldSpawn,
             this.enderDragonLocations.endDimension,
             ...this.getRecentSuccessfulLocations()
         ];
@@ -276,7 +319,7 @@ class NavigationManager extends EventEmitter {
     async requestPlayerHelp() {
         const players = Array.from(this.bot.players.values());
         if (players.length > 0) {
-            await this.bot.sendChat('🆘 I seem to be stuck! Could someone help me navigate?');
+            await this.bot.sendChat('🆘 I seem to be stuck! Could someone help me navigate?', { priority: 'high' });
             console.log('🆘 Requested player assistance');
         }
     }
@@ -356,20 +399,44 @@ class NavigationManager extends EventEmitter {
     }
 
     // Follow player functionality
-    async followPlayer(playerName) {
-        const player = Array.from(this.bot.players.values())
-            .find(p => p.name === playerName);
+    async followPlayer(playerName, { signal } = {}) {
+        const player = this.managers.players ?
+            this.managers.players.findPlayerByName(playerName) :
+            Array.from(this.bot.players.values()).find(p => p.name === playerName);
         
         if (!player) {
             throw new Error(`Player ${playerName} not found`);
         }
+        if (this.paused) {
+            console.log('⏸️ Navigation paused - not following');
+            return false;
+        }
 
+        // A new follow (even of the same player) ends the old loop
+        if (this.followRun) this.followRun.stopped = true;
+        if (this.currentRun) this.releaseRun(this.currentRun);
+        const run = { player: player.name, stopped: false };
+        this.followRun = run;
         this.isNavigating = true;
-        console.log(`👥 Following player: ${playerName}`);
+        this.followingPlayer = player.name;
+        console.log(`👥 Following player: ${player.name}`);
+
+        const onAbort = () => {
+            if (this.followRun === run) this.stopNavigation();
+            run.stopped = true;
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
         
+        // Each navigateToTarget step clears isNavigating, so the loop keys off its own run
         const followLoop = async () => {
-            while (this.isNavigating && this.bot.players.has(player.runtime_id)) {
-                const currentPlayer = this.bot.players.get(player.runtime_id);
+            while (!run.stopped && this.followRun === run && this.bot.players.has(player.runtimeId)) {
+                // Entry is kept current by PlayerManager from move packets
+                const currentPlayer = this.bot.players.get(player.runtimeId);
+                if (!currentPlayer.position) {
+                    await this.bot.delay(2000);
+                    continue;
+                }
+                
                 const distance = this.calculateDistance(this.lastPosition, currentPlayer.position);
                 
                 if (distance > this.followDistance) {
@@ -381,23 +448,54 @@ class NavigationManager extends EventEmitter {
                 
                 await this.bot.delay(2000);
             }
+
+            if (this.followRun === run) {
+                console.log(`👥 Lost track of ${player.name} - no longer following`);
+                this.followRun = null;
+                this.followingPlayer = null;
+                this.isNavigating = false;
+            }
         };
 
         followLoop().catch(error => {
             console.log('❌ Follow player failed:', error.message);
-            this.stopNavigation();
+            if (this.followRun === run) this.stopNavigation();
+        }).finally(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
         });
+
+        return true;
+    }
+
+    setPaused(paused) {
+        if (this.paused === paused) return;
+
+        this.paused = paused;
+        if (paused && (this.isNavigating || this.followingPlayer)) {
+            this.stopNavigation();
+        }
+        console.log(paused ? '⏸️ Navigation paused' : '▶️ Navigation resumed');
     }
 
     stopNavigation() {
+        if (this.currentRun) this.currentRun.stopped = true;
+        if (this.followRun) this.followRun.stopped = true;
+        this.currentRun = null;
+        this.followRun = null;
         this.isNavigating = false;
         this.currentTarget = null;
+        this.followingPlayer = null;
         console.log('⏹️ Navigation stopped');
         this.emit('navigation_stopped');
     }
 
     // Main navigation method - simplified and corrected
     async navigateTo(target) {
+        if (this.paused) {
+            console.log('⏸️ Navigation paused - ignoring new target');
+            return false;
+        }
+
         console.log(`🧭 Navigation started to X:${Math.round(target.x)} Y:${Math.round(target.y)} Z:${Math.round(target.z)}`);
 
         try {
@@ -416,6 +514,8 @@ class NavigationManager extends EventEmitter {
             const steps = Math.min(Math.floor(distance), 20);
 
             for (let i = 0; i < steps; i++) {
+                if (this.paused) return false;
+
                 const newPos = {
                     x: current.x + (moveX * i),
                     y: current.y,
@@ -424,7 +524,7 @@ class NavigationManager extends EventEmitter {
 
                 if (this.bot.client && this.bot.connected) {
                     this.bot.client.write('move_player', {
-                        runtime_id: this.bot.runtimeId,
+                        runtime_id: Number(this.bot.runtimeId),
                         position: newPos,
                         pitch: 0,
                         yaw: Math.atan2(-dx, dz) * (180 / Math.PI),
@@ -493,6 +593,7 @@ class NavigationManager extends EventEmitter {
         return {
             target: this.currentTarget,
             isNavigating: this.isNavigating,
+            followingPlayer: this.followingPlayer,
             distance: this.currentTarget ? 
                 this.calculateDistance(this.lastPosition, this.currentTarget) : null,
             stuckCounter: this.stuckCounter
@@ -0,0 +1,250 @@
+// modules/PacketInventory.js - Inventory model built from server inventory packets
+const nbt = require('prismarine-nbt');
+
+const SLOT_COUNTS = {
+    inventory: 36,
+    armor: 4,
+    offhand: 1
+};
+
+const ARMOR_SLOTS = ['helmet', 'chestplate', 'leggings', 'boots'];
+
+const FOOD_ITEMS = [
+    'apple', 'golden_apple', 'enchanted_golden_apple', 'bread', 'cookie', 'pumpkin_pie', 'cake',
+    'beef', 'cooked_beef', 'porkchop', 'cooked_porkchop', 'chicken', 'cooked_chicken',
+    'mutton', 'cooked_mutton', 'rabbit', 'cooked_rabbit', 'cod', 'cooked_cod', 'salmon', 'cooked_salmon',
+    'potato', 'baked_potato', 'carrot', 'golden_carrot', 'beetroot', 'melon_slice', 'sweet_berries',
+    'glow_berries', 'dried_kelp', 'mushroom_stew', 'rabbit_stew', 'beetroot_soup'
+];
+
+const BUILDING_BLOCKS = [
+    'cobblestone', 'stone', 'dirt', 'netherrack', 'cobbled_deepslate', 'end_stone', 'sandstone', 'blackstone'
+];
+
+// The mission tracks resources by these keys; map each one onto real item names
+const ITEM_GROUPS = {
+    diamonds: name => name === 'diamond',
+    iron: name => name === 'iron_ingot',
+    wood: name => name === 'log' || name === 'log2' || name === 'planks' || /_(log|planks|stem)$/.test(name),
+    enderPearls: name => name === 'ender_pearl',
+    blazeRods: name => name === 'blaze_rod',
+    obsidian: name => name === 'obsidian',
+    food: name => FOOD_ITEMS.includes(name),
+    arrows: name => name === 'arrow',
+    eyesOfEnder: name => name === 'ender_eye',
+    buildingBlocks: name => BUILDING_BLOCKS.includes(name)
+};
+
+const WEAPON_PATTERN = /(_sword|_axe|^bow|^crossbow|^trident|^mace)$/;
+const TOOL_PATTERN = /(_pickaxe|_shovel|_hoe|_axe|^shears|^flint_and_steel)$/;
+
+class PacketInventory {
+    constructor(bot) {
+        this.bot = bot;
+        this.name = 'packets';
+
+        this.slots = {};
+        Object.entries(SLOT_COUNTS).forEach(([container, size]) => {
+            this.slots[container] = new Array(size).fill(null);
+        });
+        this.selectedSlot = 0;
+        this.lastUpdate = null;
+
+        // Network id -> item name, from start_game/item_registry itemstates
+        this.itemStates = new Map();
+        this.registry = this.loadRegistry();
+    }
+
+    loadRegistry() {
+        const version = this.bot.config?.version || '1.20.0';
+        try {
+            return require('prismarine-registry')(`bedrock_${version}`);
+        } catch (error) {
+            console.warn(`⚠️ No item data for Bedrock ${version} - using server item names only:`, error.message);
+            return null;
+        }
+    }
+
+    handleItemStates(itemstates) {
+        if (!Array.isArray(itemstates) || itemstates.length === 0) return;
+
+        itemstates.forEach(state => {
+            this.itemStates.set(state.runtime_id, stripNamespace(state.name));
+        });
+        console.log(`🎒 Loaded ${itemstates.length} item definitions from server`);
+    }
+
+    handleInventoryContent(packet) {
+        const container = this.getContainerName(packet.window_id);
+        if (!container) return false;
+
+        const items = packet.input || [];
+        this.slots[container] = this.slots[container].map((_, index) => this.parseItem(items[index]));
+        this.lastUpdate = Date.now();
+        return true;
+    }
+
+    handleInventorySlot(packet) {
+        const container = this.getContainerName(packet.window_id);
+        if (!container || packet.slot >= this.slots[container].length) return false;
+
+        this.slots[container][packet.slot] = this.parseItem(packet.item);
+        this.lastUpdate = Date.now();
+        return true;
+    }
+
+    // Returns the record the equipment belongs to when it isn't ours
+    handleMobEquipment(packet) {
+        if (this.bot.isSelf(packet.runtime_entity_id)) {
+            if (this.getContainerName(packet.window_id) === 'inventory') {
+                this.selectedSlot = packet.selected_slot;
+            }
+            return null;
+        }
+
+        const record = this.findRecord(packet.runtime_entity_id);
+        if (record) {
+            record.heldItem = this.parseItem(packet.item);
+        }
+        return record;
+    }
+
+    handleMobArmorEquipment(packet) {
+        const armor = ARMOR_SLOTS.map(slot => this.parseItem(packet[slot]));
+
+        if (this.bot.isSelf(packet.runtime_entity_id)) {
+            this.slots.armor = armor;
+            this.lastUpdate = Date.now();
+            return null;
+        }
+
+        const record = this.findRecord(packet.runtime_entity_id);
+        if (record) {
+            record.armor = ARMOR_SLOTS.reduce((pieces, slot, index) => {
+                pieces[slot] = armor[index];
+                return pieces;
+            }, {});
+        }
+        return record;
+    }
+
+    findRecord(runtimeId) {
+        const id = String(runtimeId);
+        return this.bot.players.get(id) || this.bot.entities.get(id) || null;
+    }
+
+    getContainerName(windowId) {
+        switch (windowId) {
+            case 'inventory':
+            case 0:
+                return 'inventory';
+            case 'armor':
+            case 120:
+                return 'armor';
+            case 'offhand':
+            case 119:
+                return 'offhand';
+            default:
+                return null;
+        }
+    }
+
+    parseItem(item) {
+        if (!item || !item.network_id) return null;
+
+        const name = this.getItemName(item.network_id);
+        const registryItem = this.registry?.itemsByName[name];
+        const tag = this.readNbt(item.extra);
+
+        // Tools keep damage in NBT; older servers still use the metadata field
+        const damage = tag.Damage ?? (registryItem?.maxDurability ? item.metadata || 0 : 0);
+        const maxDurability = registryItem?.maxDurability || null;
+
+        return {
+            networkId: item.network_id,
+            name,
+            displayName: tag.display?.Name || registryItem?.displayName || name,
+            count: item.count || 1,
+            metadata: item.metadata || 0,
+            damage,
+            maxDurability,
+            durability: maxDurability ? Math.max(0, (maxDurability - damage) / maxDurability) : null,
+            enchantments: this.parseEnchantments(tag.ench),
+            customName: tag.display?.Name || null,
+            blockRuntimeId: item.block_runtime_id || null,
+            stackId: item.has_stack_id ? item.stack_id : null,
+            nbt: Object.keys(tag).length > 0 ? tag : null
+        };
+    }
+
+    getItemName(networkId) {
+        if (this.itemStates.has(networkId)) {
+            return this.itemStates.get(networkId);
+        }
+        return this.registry?.items[networkId]?.name || `unknown_${networkId}`;
+    }
+
+    readNbt(extra) {
+        if (!extra || !extra.has_nbt || !extra.nbt?.nbt) return {};
+        try {
+            return nbt.simplify(extra.nbt.nbt) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    parseEnchantments(list) {
+        if (!Array.isArray(list)) return [];
+
+        return list.map(entry => ({
+            id: entry.id,
+            name: this.registry?.enchantments[entry.id]?.name || `enchantment_${entry.id}`,
+            level: entry.lvl
+        }));
+    }
+
+    getItems() {
+        return [...this.slots.inventory, ...this.slots.offhand].filter(Boolean);
+    }
+
+    getItemCount(item) {
+        const matches = ITEM_GROUPS[item] || (name => name === stripNamespace(item));
+        return this.getItems()
+            .filter(stack => matches(stack.name))
+            .reduce((total, stack) => total + stack.count, 0);
+    }
+
+    getWeapons() {
+        return this.getItems().filter(stack => WEAPON_PATTERN.test(stack.name));
+    }
+
+    getTools() {
+        return this.getItems().filter(stack => TOOL_PATTERN.test(stack.name));
+    }
+
+    getArmorPieces() {
+        return ARMOR_SLOTS.reduce((pieces, slot, index) => {
+            pieces[slot] = this.slots.armor[index];
+            return pieces;
+        }, {});
+    }
+
+    getHeldItem() {
+        return this.slots.inventory[this.selectedSlot] || null;
+    }
+
+    // Inventory is server-authoritative - nothing to add or remove locally
+    addItem() {
+        return false;
+    }
+
+    removeItem() {
+        return false;
+    }
+}
+
+function stripNamespace(name) {
+    return String(name).replace(/^minecraft:/, '');
+}
+
+module.exports = PacketInventory;
@@ -0,0 +1,217 @@
+// modules/PlayerManager.js - Live tracking of other players' position and state
+const { normalizeId, toVector, applyMoveDelta } = require('./EntityPackets');
+
+class PlayerManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        // Online roster from player_list (includes players outside render distance)
+        this.roster = new Map();
+
+        console.log('👥 PlayerManager initialized');
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    getCurrentDimension() {
+        return this.bot.worldState?.dimension || 'overworld';
+    }
+
+    handleAddPlayer(packet) {
+        const runtimeId = normalizeId(packet.runtime_id);
+        const uuid = packet.uuid;
+        const rosterEntry = uuid ? this.roster.get(uuid) : null;
+        const now = Date.now();
+
+        const player = {
+            name: packet.username,
+            uuid,
+            xuid: rosterEntry?.xuid || null,
+            runtimeId,
+            uniqueId: normalizeId(packet.unique_id) || rosterEntry?.uniqueId || null,
+            platformChatId: packet.platform_chat_id || null,
+            position: toVector(packet.position),
+            velocity: toVector(packet.velocity),
+            rotation: {
+                pitch: packet.pitch || 0,
+                yaw: packet.yaw || 0,
+                headYaw: packet.head_yaw || 0
+            },
+            dimension: this.getCurrentDimension(),
+            gameMode: packet.gamemode || 'unknown',
+            onGround: true,
+            joinTime: now,
+            lastSeen: now
+        };
+
+        this.bot.players.set(runtimeId, player);
+        return player;
+    }
+
+    handleMovePlayer(packet) {
+        const player = this.bot.players.get(normalizeId(packet.runtime_id));
+        if (!player) return null;
+
+        player.position = toVector(packet.position);
+        player.rotation = {
+            pitch: packet.pitch,
+            yaw: packet.yaw,
+            headYaw: packet.head_yaw
+        };
+        player.onGround = !!packet.on_ground;
+        player.dimension = this.getCurrentDimension();
+        player.lastSeen = Date.now();
+
+        this.bot.emit('player_moved', player);
+        return player;
+    }
+
+    handleMoveEntity(packet) {
+        const player = this.bot.players.get(normalizeId(packet.runtime_entity_id));
+        if (!player) return null;
+
+        player.position = toVector(packet.position);
+        if (packet.rotation) {
+            player.rotation = {
+                pitch: packet.rotation.pitch,
+                yaw: packet.rotation.yaw,
+                headYaw: packet.rotation.head_yaw
+            };
+        }
+        player.dimension = this.getCurrentDimension();
+        player.lastSeen = Date.now();
+
+        this.bot.emit('player_moved', player);
+        return player;
+    }
+
+    // move_entity_delta only carries the fields that changed
+    handleMoveEntityDelta(packet) {
+        const player = this.bot.players.get(normalizeId(packet.runtime_entity_id));
+        if (!player) return null;
+
+        const flags = applyMoveDelta(player, packet);
+        player.onGround = !!flags.on_ground;
+        player.dimension = this.getCurrentDimension();
+        player.lastSeen = Date.now();
+
+        this.bot.emit('player_moved', player);
+        return player;
+    }
+
+    handlePlayerList(packet) {
+        const list = packet.records || {};
+        const records = list.records || [];
+        const now = Date.now();
+        let departed = [];
+
+        if (list.type === 'add') {
+            records.forEach(record => {
+                if (!record || !record.uuid) return;
+
+                const entry = {
+                    uuid: record.uuid,
+                    name: record.username,
+                    xuid: record.xbox_user_id || null,
+                    uniqueId: normalizeId(record.entity_unique_id),
+                    platformChatId: record.platform_chat_id || null,
+                    buildPlatform: record.build_platform ?? null,
+                    isHost: !!record.is_host,
+                    online: true,
+                    listedAt: now,
+                    lastSeen: now
+                };
+                this.roster.set(record.uuid, entry);
+
+                // Fill in identity on a player we already see in the world
+                const player = this.findPlayerByUuid(record.uuid);
+                if (player) {
+                    player.xuid = entry.xuid;
+                    player.uniqueId = player.uniqueId || entry.uniqueId;
+                }
+            });
+        } else if (list.type === 'remove') {
+            const uuids = [];
+            records.forEach(record => {
+                const entry = record && this.roster.get(record.uuid);
+                if (entry) {
+                    entry.online = false;
+                    entry.lastSeen = now;
+                }
+                if (record && record.uuid) uuids.push(record.uuid);
+            });
+
+            // They left the server, so they can't still be in view
+            departed = this.removePlayersByUuid(uuids);
+        }
+
+        this.bot.emit('player_list_updated', this.getRoster());
+        return departed;
+    }
+
+    handleUpdatePlayerGameType(packet) {
+        const uniqueId = normalizeId(packet.player_unique_id);
+        const player = Array.from(this.bot.players.values()).find(p => p.uniqueId === uniqueId);
+        if (player) {
+            player.gameMode = packet.gamemode;
+            player.lastSeen = Date.now();
+        }
+    }
+
+    // Players leave the world view through remove_entity (by unique id) or a player_list removal
+    handleRemoveEntity(packet) {
+        const uniqueId = normalizeId(packet.entity_id_self);
+        for (const [runtimeId, player] of this.bot.players) {
+            if (player.uniqueId && player.uniqueId === uniqueId) {
+                this.bot.players.delete(runtimeId);
+                return player;
+            }
+        }
+        return null;
+    }
+
+    removePlayersByUuid(uuids) {
+        const removed = [];
+        for (const [runtimeId, player] of this.bot.players) {
+            if (uuids.includes(player.uuid)) {
+                this.bot.players.delete(runtimeId);
+                removed.push(player);
+            }
+        }
+        return removed;
+    }
+
+    getPlayer(runtimeId) {
+        return this.bot.players.get(normalizeId(runtimeId)) || null;
+    }
+
+    findPlayerByName(name) {
+        if (!name) return null;
+        const lowerName = name.toLowerCase();
+        return Array.from(this.bot.players.values()).find(p => p.name && p.name.toLowerCase() === lowerName) || null;
+    }
+
+    findPlayerByUuid(uuid) {
+        return Array.from(this.bot.players.values()).find(p => p.uuid === uuid) || null;
+    }
+
+    getRoster() {
+        return Array.from(this.roster.values());
+    }
+
+    getPlayerStatus() {
+        const now = Date.now();
+        return {
+            inView: Array.from(this.bot.players.values()).map(player => ({
+                ...player,
+                secondsSinceSeen: Math.round((now - player.lastSeen) / 1000)
+            })),
+            online: this.getRoster().filter(entry => entry.online)
+        };
+    }
+}
+
+module.exports = PlayerManager;
@@ -0,0 +1,361 @@
+// modules/PlayerMemoryManager.js - What the bot remembers about each player, kept across sessions
+const fs = require('fs').promises;
+const path = require('path');
+const { writeJsonAtomic } = require('./AtomicFile');
+
+// Size caps - the whole file is rewritten on save and every record can end up in a prompt
+const MAX_PLAYERS = 500;
+const MAX_TURNS = 20; // verbatim turns kept before the oldest are folded into the summary
+const SUMMARIZE_BATCH = 10;
+const MAX_SUMMARY_LENGTH = 600;
+const MAX_TURN_LENGTH = 200;
+const MAX_PREFERENCES = 10;
+const MAX_PROMISES = 10;
+
+const SAVE_DELAY = 5000; // chat comes in bursts - save once it settles
+const SESSION_GAP = 1800000; // a message after this much silence starts a new conversation
+const PROMISE_EXPIRY = 3 * 24 * 3600000;
+const SUMMARY_TIMEOUT = 10000;
+
+const DEFAULT_TRUST = 50; // 0-100
+
+// "I like X", "I prefer X", "call me X" ...
+const PREFERENCE_PATTERNS = [
+    /\b(?:i (?:really )?(?:like|love|prefer|enjoy|hate|dislike|don't like|do not like))\s+(.{3,60})/i,
+    /\b(?:my favou?rite\s+\w+\s+is)\s+(.{2,60})/i,
+    /\b(?:call me)\s+(.{2,30})/i
+];
+
+// "I'll bring blaze rods", "I will get the pearls", "I'm gonna build the portal"
+const PROMISE_PATTERN = /\b(?:i'?ll|i will|i'?m (?:going to|gonna)|i can)\s+(bring|get|give|make|build|craft|find|collect|gather|mine|farm|help|meet|come|cover|protect|grab)\b\s*(.{0,60})/i;
+
+// "here are the blaze rods", "brought them", "done"
+const DELIVERY_PATTERN = /\b(?:here (?:are|is|you go)|brought|got (?:them|it|the)|gave you|done|finished|built)\b/i;
+
+const FRIENDLY_PATTERN = /\b(?:thanks|thank you|thx|ty|gg|good job|nice|well done|great work)\b/i;
+const HOSTILE_PATTERN = /\b(?:stupid|useless|dumb|idiot|noob|trash|shut up)\b/i;
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'some', 'you', 'your', 'for', 'to', 'and', 'of', 'in', 'it', 'them', 'me', 'later', 'soon', 'now']);
+
+class PlayerMemoryManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        this.players = new Map(); // lowercased name -> record
+        this.memoryPath = path.resolve(bot.config?.playerMemoryPath || './data/player-memory.json');
+        this.saveTimer = null;
+        this.saveQueue = Promise.resolve();
+        this.summarizing = new Set();
+
+        this.ready = this.loadMemory();
+
+        console.log('🧠 PlayerMemoryManager initialized');
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    getKey(playerName) {
+        return String(playerName).trim().toLowerCase();
+    }
+
+    createRecord(playerName) {
+        const now = Date.now();
+        return {
+            name: playerName,
+            firstSeen: now,
+            lastSeen: now,
+            lastMessageAt: 0,
+            messageCount: 0,
+            conversations: 0,
+            trust: DEFAULT_TRUST,
+            summary: '',
+            turns: [], // { role: 'player'|'bot', text, at }
+            preferences: [], // { text, at }
+            promises: [], // { text, at, status: 'open'|'kept'|'expired', resolvedAt }
+            topics: {} // topic -> count
+        };
+    }
+
+    getRecord(playerName, create = true) {
+        const key = this.getKey(playerName);
+        let record = this.players.get(key);
+        if (!record && create) {
+            record = this.createRecord(playerName);
+            this.players.set(key, record);
+            this.evictOldPlayers();
+        }
+        return record || null;
+    }
+
+    touch(playerName) {
+        const record = this.getRecord(playerName);
+        record.lastSeen = Date.now();
+        this.scheduleSave();
+    }
+
+    // Called by ChatManager for every conversational message (commands are skipped)
+    recordTurn(playerName, role, text) {
+        if (!playerName || typeof text !== 'string' || !text.trim()) return;
+
+        const record = this.getRecord(playerName);
+        const now = Date.now();
+
+        if (role === 'player') {
+            if (now - record.lastMessageAt > SESSION_GAP) record.conversations++;
+            record.messageCount++;
+            record.lastSeen = now;
+            record.lastMessageAt = now;
+            record.name = playerName; // keep the latest capitalisation
+            this.extractFacts(record, text);
+        }
+
+        record.turns.push({ role, text: text.trim().slice(0, MAX_TURN_LENGTH), at: now });
+        if (record.turns.length > MAX_TURNS) {
+            this.summarizeOldTurns(record);
+        }
+
+        this.scheduleSave();
+    }
+
+    noteTopics(playerName, topics) {
+        if (!topics || topics.length === 0) return;
+        const record = this.getRecord(playerName);
+        topics.forEach(topic => {
+            record.topics[topic] = (record.topics[topic] || 0) + 1;
+        });
+        this.scheduleSave();
+    }
+
+    // Pattern based so it works without the model and can't be talked into storing prompts
+    extractFacts(record, text) {
+        const now = Date.now();
+
+        PREFERENCE_PATTERNS.forEach(pattern => {
+            const match = text.match(pattern);
+            if (!match) return;
+            const preference = match[0].replace(/[.!?]+$/, '').trim();
+            record.preferences = record.preferences.filter(entry => entry.text.toLowerCase() !== preference.toLowerCase());
+            record.preferences.push({ text: preference, at: now });
+            if (record.preferences.length > MAX_PREFERENCES) record.preferences.shift();
+        });
+
+        this.expirePromises(record);
+
+        // A delivery keeps the open promise it mentions, or the only open one
+        if (DELIVERY_PATTERN.test(text)) {
+            const open = record.promises.filter(promise => promise.status === 'open');
+            const words = this.keywords(text);
+            const kept = open.find(promise => this.keywords(promise.text).some(word => words.includes(word))) ||
+                (open.length === 1 ? open[0] : null);
+            if (kept) {
+                kept.status = 'kept';
+                kept.resolvedAt = now;
+                this.adjustTrust(record.name, 5, `kept promise: ${kept.text}`);
+            }
+        }
+
+        const promise = text.match(PROMISE_PATTERN);
+        if (promise) {
+            record.promises.push({ text: promise[0].replace(/[.!?]+$/, '').trim(), at: now, status: 'open', resolvedAt: null });
+            if (record.promises.length > MAX_PROMISES) {
+                // Drop resolved promises before open ones
+                const index = record.promises.findIndex(entry => entry.status !== 'open');
+                record.promises.splice(index >= 0 ? index : 0, 1);
+            }
+        }
+
+        if (FRIENDLY_PATTERN.test(text)) this.adjustTrust(record.name, 1, 'friendly');
+        if (HOSTILE_PATTERN.test(text)) this.adjustTrust(record.name, -3, 'hostile');
+    }
+
+    keywords(text) {
+        return text.toLowerCase().match(/[a-z]{3,}/g)?.filter(word => !STOP_WORDS.has(word)) || [];
+    }
+
+    expirePromises(record) {
+        const now = Date.now();
+        record.promises.forEach(promise => {
+            if (promise.status === 'open' && now - promise.at > PROMISE_EXPIRY) {
+                promise.status = 'expired';
+                promise.resolvedAt = now;
+            }
+        });
+    }
+
+    adjustTrust(playerName, delta, reason = null) {
+        const record = this.getRecord(playerName);
+        record.trust = Math.max(0, Math.min(100, record.trust + delta));
+        if (this.bot.config?.debugMode) {
+            console.log(`🧠 Trust for ${record.name}: ${record.trust} (${delta > 0 ? '+' : ''}${delta}${reason ? `, ${reason}` : ''})`);
+        }
+        this.scheduleSave();
+        return record.trust;
+    }
+
+    getTrustLabel(trust) {
+        if (trust >= 75) return 'trusted friend';
+        if (trust >= 55) return 'friendly';
+        if (trust >= 35) return 'neutral';
+        return 'wary';
+    }
+
+    // Folds the oldest turns into the running summary so memory stays bounded
+    summarizeOldTurns(record) {
+        const key = this.getKey(record.name);
+        if (this.summarizing.has(key)) return;
+
+        const oldTurns = record.turns.slice(0, SUMMARIZE_BATCH);
+        this.summarizing.add(key);
+
+        this.buildSummary(record, oldTurns)
+            .then(summary => {
+                record.summary = summary.slice(-MAX_SUMMARY_LENGTH);
+                record.turns = record.turns.filter(turn => !oldTurns.includes(turn));
+                this.scheduleSave();
+            })
+            .catch(error => {
+                console.warn(`⚠️ Could not summarize conversation with ${record.name}:`, error.message);
+                record.turns = record.turns.slice(-MAX_TURNS);
+            })
+            .finally(() => this.summarizing.delete(key));
+    }
+
+    async buildSummary(record, turns) {
+        const transcript = turns.map(turn => `${turn.role === 'bot' ? 'Bot' : record.name}: ${turn.text}`).join('\n');
+
+        if (this.bot.model && this.bot.config?.chatAiEnabled !== false) {
+            let timer;
+            try {
+                const prompt = `Update this memory of a Minecraft player called ${record.name}. ` +
+                    `Keep it under ${MAX_SUMMARY_LENGTH} characters, plain text, facts only ` +
+                    '(what they asked about, helped with, agreed to or disliked).\n\n' +
+                    `Current memory: ${record.summary || '(none)'}\n\nNew conversation:\n${transcript}`;
+                const result = await Promise.race([
+                    this.bot.model.generateContent(prompt),
+                    new Promise((_, reject) => {
+                        timer = setTimeout(() => reject(new Error('Summary timed out')), SUMMARY_TIMEOUT);
+                    })
+                ]);
+                const summary = result.response.text().replace(/\s+/g, ' ').trim();
+                if (summary) return summary.slice(0, MAX_SUMMARY_LENGTH);
+            } catch (error) {
+                console.warn(`⚠️ Model summary for ${record.name} failed, keeping a plain one:`, error.message);
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        // Without the model: keep what the player said, oldest material falls off the front
+        const said = turns.filter(turn => turn.role === 'player').map(turn => turn.text).join(' / ');
+        return record.summary ? `${record.summary} | ${said}` : said;
+    }
+
+    // Lines about this player for ChatManager's reply prompt
+    getPromptContext(playerName) {
+        const record = this.getRecord(playerName, false);
+        if (!record) return null;
+
+        this.expirePromises(record);
+        const lines = [
+            `- Known since ${new Date(record.firstSeen).toISOString().slice(0, 10)}, ${record.conversations} conversations, ` +
+            `last seen ${new Date(record.lastSeen).toISOString().slice(0, 16).replace('T', ' ')}`,
+            `- Relationship: ${this.getTrustLabel(record.trust)} (trust ${record.trust}/100)`
+        ];
+        if (record.summary) lines.push(`- Earlier conversations: ${record.summary}`);
+        if (record.preferences.length > 0) {
+            lines.push(`- Preferences: ${record.preferences.map(entry => entry.text).join('; ')}`);
+        }
+
+        const open = record.promises.filter(promise => promise.status === 'open');
+        const kept = record.promises.filter(promise => promise.status === 'kept').slice(-3);
+        if (open.length > 0) lines.push(`- Promised (not done yet): ${open.map(promise => promise.text).join('; ')}`);
+        if (kept.length > 0) lines.push(`- Kept their word: ${kept.map(promise => promise.text).join('; ')}`);
+
+        // Turns before the current message - ChatManager adds recent chat separately
+        const recentTurns = record.turns.slice(-6, -1);
+        if (recentTurns.length > 0) {
+            lines.push(`- Last exchanges: ${recentTurns.map(turn => `${turn.role === 'bot' ? 'you' : record.name}: ${turn.text}`).join(' | ')}`);
+        }
+        return lines.join('\n');
+    }
+
+    evictOldPlayers() {
+        if (this.players.size <= MAX_PLAYERS) return;
+
+        const oldest = Array.from(this.players.entries())
+            .sort(([, a], [, b]) => a.lastSeen - b.lastSeen)
+            .slice(0, this.players.size - MAX_PLAYERS);
+        oldest.forEach(([key]) => this.players.delete(key));
+    }
+
+    forgetPlayer(playerName) {
+        const removed = this.players.delete(this.getKey(playerName));
+        if (removed) this.scheduleSave();
+        return removed;
+    }
+
+    // Persistence
+
+    async loadMemory() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.memoryPath, 'utf8'));
+            Object.values(saved.players || {}).forEach(record => {
+                if (!record?.name) return;
+                this.players.set(this.getKey(record.name), { ...this.createRecord(record.name), ...record });
+            });
+            console.log(`🧠 Loaded memories of ${this.players.size} players`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Could not read player memory:', error.message);
+            }
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveMemory();
+        }, SAVE_DELAY);
+        this.saveTimer.unref();
+    }
+
+    saveMemory() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.saveQueue = writeJsonAtomic(this.memoryPath, () => ({
+            version: 1,
+            savedAt: new Date().toISOString(),
+            players: Object.fromEntries(this.players)
+        })).catch(error => console.warn('⚠️ Failed to save player memory:', error.message));
+        return this.saveQueue;
+    }
+
+    getPlayerMemory(playerName) {
+        const record = this.getRecord(playerName, false);
+        if (!record) return null;
+        this.expirePromises(record);
+        return { ...record, relationship: this.getTrustLabel(record.trust) };
+    }
+
+    getMemoryStatus() {
+        return {
+            players: Array.from(this.players.values())
+                .sort((a, b) => b.lastSeen - a.lastSeen)
+                .map(record => ({
+                    name: record.name,
+                    lastSeen: new Date(record.lastSeen).toISOString(),
+                    messageCount: record.messageCount,
+                    trust: record.trust,
+                    relationship: this.getTrustLabel(record.trust),
+                    openPromises: record.promises.filter(promise => promise.status === 'open').length
+                })),
+            limits: { maxPlayers: MAX_PLAYERS, maxTurns: MAX_TURNS, maxSummaryLength: MAX_SUMMARY_LENGTH }
+        };
+    }
+}
+
+module.exports = PlayerMemoryManager;
@@ -0,0 +1,195 @@
+// modules/ReconnectManager.js - Reconnect supervisor with exponential backoff
+class ReconnectManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        // Reconnect state
+        this.attempts = 0;
+        this.reconnectTimer = null;
+        this.connectTimeoutTimer = null;
+        this.reconnecting = false;
+        this.gaveUp = false;
+        this.lastDisconnectReason = null;
+        this.lastDisconnectTime = null;
+        this.lastReconnectTime = null;
+        this.nextAttemptAt = null;
+        this.totalReconnects = 0;
+
+        console.log('🔁 ReconnectManager initialized');
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    getSettings() {
+        const config = this.bot.config || {};
+        return {
+            enabled: config.reconnectEnabled !== false,
+            baseDelay: config.reconnectBaseDelay || 5000,
+            maxDelay: config.reconnectMaxDelay || 300000,
+            maxAttempts: config.reconnectMaxAttempts ?? 10, // 0 = unlimited
+            jitter: config.reconnectJitter ?? 0.3,
+            connectTimeout: config.connectTimeout || 30000
+        };
+    }
+
+    // Exponential backoff with +/- jitter, capped at maxDelay
+    calculateDelay(attempt) {
+        const settings = this.getSettings();
+        const exponential = settings.baseDelay * Math.pow(2, Math.max(0, attempt - 1));
+        const capped = Math.min(exponential, settings.maxDelay);
+        const jitterRange = capped * settings.jitter;
+        const jittered = capped + (Math.random() * 2 - 1) * jitterRange;
+
+        return Math.max(0, Math.round(jittered));
+    }
+
+    scheduleReconnect(reason = 'unknown') {
+        const settings = this.getSettings();
+
+        if (!settings.enabled) {
+            console.log('🔁 Reconnect disabled - bot will stay offline');
+            return false;
+        }
+
+        if (this.bot.shuttingDown) return false;
+
+        // Already waiting for the next attempt
+        if (this.reconnectTimer) return false;
+
+        this.lastDisconnectReason = reason;
+        this.lastDisconnectTime = Date.now();
+
+        if (settings.maxAttempts > 0 && this.attempts >= settings.maxAttempts) {
+            if (!this.gaveUp) {
+                this.gaveUp = true;
+                this.reconnecting = false;
+                console.error(`❌ Reconnect failed after ${this.attempts} attempts - giving up`);
+                this.bot.emit('reconnect_failed', { attempts: this.attempts, reason });
+            }
+            return false;
+        }
+
+        const delay = this.calculateDelay(this.attempts + 1);
+        this.reconnecting = true;
+        this.nextAttemptAt = Date.now() + delay;
+
+        console.log(`🔁 Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.attempts + 1}${settings.maxAttempts > 0 ? `/${settings.maxAttempts}` : ''}) - reason: ${reason}`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.attemptReconnect();
+        }, delay);
+
+        return true;
+    }
+
+    async attemptReconnect() {
+        if (this.bot.shuttingDown || this.bot.connected) {
+            this.reconnecting = false;
+            return;
+        }
+
+        this.attempts++;
+        this.nextAttemptAt = null;
+        console.log(`🔁 Reconnect attempt ${this.attempts}...`);
+        this.bot.emit('reconnect_attempt', { attempt: this.attempts, reason: this.lastDisconnectReason });
+
+        try {
+            await this.bot.connect({ resume: true });
+            this.startConnectTimeout();
+        } catch (error) {
+            console.error('❌ Reconnect attempt failed:', error.message);
+            this.scheduleReconnect(error.message);
+        }
+    }
+
+    // A client that never spawns never disconnects either, so give up on it after a while
+    startConnectTimeout() {
+        this.clearConnectTimeout();
+
+        const client = this.bot.client;
+        this.connectTimeoutTimer = setTimeout(() => {
+            this.connectTimeoutTimer = null;
+
+            if (this.bot.connected || this.bot.client !== client) return;
+
+            console.warn('⚠️ Reconnect attempt timed out before spawn');
+            this.bot.handleDisconnect(client, 'connect_timeout');
+        }, this.getSettings().connectTimeout);
+    }
+
+    clearConnectTimeout() {
+        if (this.connectTimeoutTimer) {
+            clearTimeout(this.connectTimeoutTimer);
+            this.connectTimeoutTimer = null;
+        }
+    }
+
+    onSpawned() {
+        this.clearConnectTimeout();
+
+        if (this.attempts > 0) {
+            this.totalReconnects++;
+            this.lastReconnectTime = Date.now();
+            console.log(`✅ Reconnected after ${this.attempts} attempt(s) - resuming session`);
+            this.bot.emit('reconnected', { attempts: this.attempts, reason: this.lastDisconnectReason });
+        }
+
+        this.attempts = 0;
+        this.reconnecting = false;
+        this.gaveUp = false;
+        this.nextAttemptAt = null;
+    }
+
+    cancel() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.clearConnectTimeout();
+        this.reconnecting = false;
+        this.nextAttemptAt = null;
+    }
+
+    // Manual retry after giving up (e.g. from an operator)
+    resetAndReconnect(reason = 'manual') {
+        this.cancel();
+        this.attempts = 0;
+        this.gaveUp = false;
+        return this.scheduleReconnect(reason);
+    }
+
+    async handleEvent(eventType, data) {
+        switch (eventType) {
+            case 'connected':
+                this.onSpawned();
+                break;
+            case 'disconnected':
+                this.scheduleReconnect(data?.reason || 'disconnected');
+                break;
+            default:
+                break;
+        }
+    }
+
+    getStatus() {
+        const settings = this.getSettings();
+        return {
+            enabled: settings.enabled,
+            reconnecting: this.reconnecting,
+            attempts: this.attempts,
+            maxAttempts: settings.maxAttempts,
+            gaveUp: this.gaveUp,
+            nextAttemptIn: this.nextAttemptAt ? Math.max(0, this.nextAttemptAt - Date.now()) : null,
+            lastDisconnectReason: this.lastDisconnectReason,
+            lastDisconnectTime: this.lastDisconnectTime,
+            lastReconnectTime: this.lastReconnectTime,
+            totalReconnects: this.totalReconnects
+        };
+    }
+}
+
+module.exports = ReconnectManager;
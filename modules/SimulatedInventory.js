@@ -0,0 +1,107 @@
+// modules/SimulatedInventory.js - Counter-based inventory used in SIMULATION_MODE
+class SimulatedInventory {
+    constructor(bot) {
+        this.bot = bot;
+        this.name = 'simulated';
+
+        this.inventory = {
+            diamonds: 0,
+            iron: 0,
+            wood: 0,
+            enderPearls: 0,
+            blazeRods: 0,
+            obsidian: 0,
+            food: 0,
+            arrows: 0,
+            armor: 'none',
+            weapons: [],
+            tools: [],
+            eyesOfEnder: 0,
+            buildingBlocks: 0
+        };
+    }
+
+    addItem(item, quantity = 1) {
+        if (typeof this.inventory[item] === 'number') {
+            this.inventory[item] += quantity;
+            return true;
+        }
+        return false;
+    }
+
+    removeItem(item, quantity = 1) {
+        if (typeof this.inventory[item] === 'number' && this.inventory[item] >= quantity) {
+            this.inventory[item] -= quantity;
+            return true;
+        }
+        return false;
+    }
+
+    getItemCount(item) {
+        if (typeof this.inventory[item] === 'number') {
+            return this.inventory[item];
+        }
+
+        // Item names ('diamond_sword') match the simulated weapon/tool lists
+        const owned = [...this.inventory.weapons, ...this.inventory.tools].map(toItemName);
+        return owned.filter(name => name === item).length;
+    }
+
+    addWeapon(weapon) {
+        if (!this.inventory.weapons.includes(weapon)) {
+            this.inventory.weapons.push(weapon);
+            return true;
+        }
+        return false;
+    }
+
+    addTool(tool) {
+        if (!this.inventory.tools.includes(tool)) {
+            this.inventory.tools.push(tool);
+            return true;
+        }
+        return false;
+    }
+
+    setArmor(armorType) {
+        this.inventory.armor = armorType;
+    }
+
+    getWeapons() {
+        return this.inventory.weapons.map(name => ({ name: toItemName(name), displayName: name, durability: 1 }));
+    }
+
+    getTools() {
+        return this.inventory.tools.map(name => ({ name: toItemName(name), displayName: name, durability: 1 }));
+    }
+
+    // 'Diamond Armor Set' is the only armor the simulation hands out
+    getArmorPieces() {
+        const match = this.inventory.armor.match(/^(\w+) Armor Set$/);
+        const material = match ? match[1].toLowerCase() : null;
+
+        return ['helmet', 'chestplate', 'leggings', 'boots'].reduce((pieces, slot) => {
+            pieces[slot] = material
+                ? { name: `${material}_${slot}`, displayName: `${match[1]} ${slot[0].toUpperCase()}${slot.slice(1)}`, durability: 1 }
+                : null;
+            return pieces;
+        }, {});
+    }
+
+    getHeldItem() {
+        const weapons = this.getWeapons();
+        return weapons[0] || null;
+    }
+
+    getItems() {
+        return Object.entries(this.inventory)
+            .filter(([, value]) => typeof value === 'number' && value > 0)
+            .map(([name, count]) => ({ name, count }));
+    }
+}
+
+function toItemName(displayName) {
+    return displayName.toLowerCase().replace(/\s+/g, '_');
+}
+
+module.exports = SimulatedInventory;
@@ -0,0 +1,303 @@
+// modules/WebhookManager.js - Signed webhook notifications with retries and a persistent outbox
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeJsonAtomic } = require('./AtomicFile');
+
+// Sent when WEBHOOK_EVENTS isn't set
+const DEFAULT_EVENTS = [
+    'mission_phase_changed',
+    'mission_completed',
+    'mission_failed',
+    'mission_aborted',
+    'bot_died',
+    'disconnected',
+    'repeated_errors',
+    'performance_warning'
+];
+
+const OPTIONAL_EVENTS = ['mission_started', 'mission_paused', 'mission_resumed', 'mission_reset', 'connected'];
+
+const ERROR_WINDOW = 60000; // ms
+const ERROR_THRESHOLD = 5; // errors inside the window before we notify
+const MAX_RETRY_DELAY = 300000;
+const MAX_OUTBOX_SIZE = 500;
+const MAX_DEAD_LETTERS = 50;
+
+class WebhookManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        this.outbox = []; // { id, event, body, attempts, createdAt, nextAttemptAt, lastError }
+        this.deadLetters = [];
+        this.outboxPath = path.resolve(bot.config?.webhookOutboxPath || './data/webhook-outbox.json');
+        this.delivering = false;
+        this.retryTimer = null;
+        this.lastDelivery = null;
+        this.saveQueue = Promise.resolve();
+
+        this.recentErrors = [];
+        this.errorAlertUntil = 0;
+
+        this.ready = this.loadOutbox();
+
+        console.log(`🪝 WebhookManager initialized${this.isEnabled() ? '' : ' (WEBHOOK_URL not set)'}`);
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    isEnabled() {
+        return !!this.bot.config?.webhookUrl;
+    }
+
+    getSubscribedEvents() {
+        const configured = this.bot.config?.webhookEvents;
+        if (!configured || configured.length === 0) return DEFAULT_EVENTS;
+        if (configured.includes('*') || configured.includes('all')) return [...DEFAULT_EVENTS, ...OPTIONAL_EVENTS];
+        return configured;
+    }
+
+    async handleEvent(eventType, data) {
+        if (!this.isEnabled()) return;
+
+        if (eventType === 'error') {
+            this.trackError(data);
+            return;
+        }
+
+        if (this.getSubscribedEvents().includes(eventType)) {
+            await this.notify(eventType, data);
+        }
+    }
+
+    // One alert per burst rather than one request per error
+    trackError(error) {
+        const now = Date.now();
+        this.recentErrors = this.recentErrors.filter(entry => now - entry.timestamp < ERROR_WINDOW);
+        this.recentErrors.push({ timestamp: now, message: error?.message || String(error) });
+
+        if (this.recentErrors.length >= ERROR_THRESHOLD && now >= this.errorAlertUntil &&
+            this.getSubscribedEvents().includes('repeated_errors')) {
+            this.errorAlertUntil = now + ERROR_WINDOW;
+            this.notify('repeated_errors', {
+                count: this.recentErrors.length,
+                windowMs: ERROR_WINDOW,
+                recent: this.recentErrors.slice(-5).map(entry => entry.message)
+            });
+        }
+    }
+
+    // Queues the notification and kicks off delivery; resolves once it is safely in the outbox
+    async notify(eventType, data = {}) {
+        await this.ready;
+
+        const id = crypto.randomUUID();
+        const payload = {
+            id,
+            event: eventType,
+            timestamp: new Date().toISOString(),
+            bot: this.bot.config?.username || null,
+            data: this.managers.event ? this.managers.event.redact(data, 0, new WeakSet()) : data
+        };
+
+        const entry = {
+            id,
+            event: eventType,
+            body: JSON.stringify(payload),
+            attempts: 0,
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now(),
+            lastError: null
+        };
+
+        this.outbox.push(entry);
+        if (this.outbox.length > MAX_OUTBOX_SIZE) {
+            const dropped = this.outbox.shift();
+            console.warn(`⚠️ Webhook outbox full - dropped ${dropped.event} notification ${dropped.id}`);
+        }
+        await this.saveOutbox();
+
+        this.processOutbox();
+        return id;
+    }
+
+    async processOutbox() {
+        if (this.delivering || !this.isEnabled()) return;
+        this.delivering = true;
+        clearTimeout(this.retryTimer);
+
+        try {
+            // Oldest first, so receivers see milestones in order
+            let entry;
+            while ((entry = this.outbox.find(item => item.nextAttemptAt <= Date.now()))) {
+                await this.attemptDelivery(entry);
+            }
+        } finally {
+            this.delivering = false;
+            this.scheduleRetry();
+        }
+    }
+
+    async attemptDelivery(entry) {
+        const config = this.bot.config;
+        entry.attempts++;
+
+        let result;
+        try {
+            result = await this.send(entry);
+        } catch (error) {
+            result = { ok: false, retryable: true, error: error.name === 'AbortError' ? 'Request timed out' : error.message };
+        }
+
+        if (result.ok) {
+            this.outbox = this.outbox.filter(item => item !== entry);
+            this.lastDelivery = { id: entry.id, event: entry.event, status: result.status, at: new Date().toISOString() };
+            console.log(`🪝 Webhook delivered: ${entry.event} (attempt ${entry.attempts})`);
+        } else if (!result.retryable || entry.attempts >= config.webhookMaxAttempts) {
+            this.outbox = this.outbox.filter(item => item !== entry);
+            this.deadLetters.push({ ...entry, lastError: result.error, failedAt: new Date().toISOString() });
+            if (this.deadLetters.length > MAX_DEAD_LETTERS) this.deadLetters.shift();
+            console.warn(`⚠️ Webhook ${entry.event} gave up after ${entry.attempts} attempts: ${result.error}`);
+        } else {
+            entry.lastError = result.error;
+            entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+            console.warn(`⚠️ Webhook ${entry.event} failed (${result.error}) - retrying in ${Math.round((entry.nextAttemptAt - Date.now()) / 1000)}s`);
+        }
+
+        await this.saveOutbox();
+    }
+
+    async send(entry) {
+        const config = this.bot.config;
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'DragonSlayerBot-Webhook/1.0',
+            'X-Webhook-Id': entry.id,
+            'X-Webhook-Event': entry.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Attempt': String(entry.attempts)
+        };
+        if (config.webhookSecret) {
+            headers['X-Webhook-Signature'] = `sha256=${this.sign(timestamp, entry.body)}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), config.webhookTimeout);
+        try {
+            const response = await fetch(config.webhookUrl, {
+                method: 'POST',
+                headers,
+                body: entry.body,
+                signal: controller.signal
+            });
+            // Other 4xx mean the receiver rejected this payload - sending it again won't help
+            const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            return {
+                ok: response.ok,
+                status: response.status,
+                retryable,
+                error: response.ok ? null : `HTTP ${response.status}`
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and reject stale timestamps
+    sign(timestamp, body) {
+        return crypto.createHmac('sha256', this.bot.config.webhookSecret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+    }
+
+    getRetryDelay(attempts) {
+        const base = this.bot.config.webhookRetryBaseDelay * Math.pow(2, attempts - 1);
+        const jitter = Math.random() * 0.2 * base;
+        return Math.min(base + jitter, MAX_RETRY_DELAY);
+    }
+
+    scheduleRetry() {
+        if (this.outbox.length === 0 || !this.isEnabled()) return;
+
+        const next = Math.min(...this.outbox.map(entry => entry.nextAttemptAt));
+        this.retryTimer = setTimeout(() => this.processOutbox(), Math.max(0, next - Date.now()));
+        this.retryTimer.unref();
+    }
+
+    async loadOutbox() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.outboxPath, 'utf8'));
+            this.outbox = Array.isArray(saved.pending) ? saved.pending : [];
+            this.deadLetters = Array.isArray(saved.failed) ? saved.failed : [];
+            if (this.outbox.length > 0) {
+                console.log(`🪝 Resuming ${this.outbox.length} undelivered webhook notifications`);
+                setImmediate(() => this.processOutbox());
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Could not read webhook outbox:', error.message);
+            }
+        }
+    }
+
+    // saveQueue settles once this save (and every one before it) is on disk
+    saveOutbox() {
+        this.saveQueue = writeJsonAtomic(this.outboxPath, () => ({ pending: this.outbox, failed: this.deadLetters }))
+            .catch(error => console.warn('⚠️ Failed to save webhook outbox:', error.message));
+        return this.saveQueue;
+    }
+
+    async sendTestNotification(requestedBy = null) {
+        if (!this.isEnabled()) {
+            const error = new Error('WEBHOOK_URL is not configured');
+            error.statusCode = 409;
+            throw error;
+        }
+        const id = await this.notify('test', { message: 'Webhook test from DragonSlayerBot', requestedBy });
+        return { id };
+    }
+
+    // Dead letters go back in the queue, e.g. after fixing the receiver
+    async retryFailed() {
+        const count = this.deadLetters.length;
+        this.deadLetters.forEach(({ failedAt, ...entry }) => {
+            this.outbox.push({ ...entry, attempts: 0, nextAttemptAt: Date.now() });
+        });
+        this.deadLetters = [];
+        await this.saveOutbox();
+        this.processOutbox();
+        return { requeued: count };
+    }
+
+    getWebhookStatus() {
+        let target = null;
+        if (this.isEnabled()) {
+            try {
+                // The URL often embeds a token - only show where it goes
+                target = new URL(this.bot.config.webhookUrl).host;
+            } catch (error) {
+                target = 'invalid URL';
+            }
+        }
+
+        return {
+            enabled: this.isEnabled(),
+            target,
+            signed: !!this.bot.config?.webhookSecret,
+            events: this.getSubscribedEvents(),
+            pending: this.outbox.map(({ id, event, attempts, nextAttemptAt, lastError }) => ({
+                id, event, attempts, nextAttemptAt, lastError
+            })),
+            failed: this.deadLetters.map(({ id, event, attempts, failedAt, lastError }) => ({
+                id, event, attempts, failedAt, lastError
+            })),
+            lastDelivery: this.lastDelivery
+        };
+    }
+}
+
+module.exports = WebhookManager;
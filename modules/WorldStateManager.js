@@ -0,0 +1,400 @@
+// modules/WorldStateManager.js - Authoritative world/session data from the server
+const DIFFICULTY_NAMES = ['peaceful', 'easy', 'normal', 'hard'];
+const DIMENSION_NAMES = ['overworld', 'nether', 'end'];
+
+// Ticks into the day (0 = sunrise at 06:00); 20 ticks per second
+const TICKS_PER_DAY = 24000;
+const MS_PER_TICK = 50;
+const DAY_PHASES = [
+    { name: 'day', start: 0 },
+    { name: 'dusk', start: 12000 },
+    { name: 'night', start: 13000 },
+    { name: 'dawn', start: 23000 }
+];
+
+class WorldStateManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = {};
+
+        this.state = this.createEmptyState();
+
+        // Expose on the bot so every manager reads the same object
+        this.bot.worldState = this.state;
+
+        // Computed on read so the clock keeps ticking between set_time packets
+        Object.defineProperty(this.bot, 'time', {
+            get: () => this.getTimeInfo(),
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(this.bot, 'weather', {
+            get: () => this.getWeather(),
+            enumerable: true,
+            configurable: true
+        });
+
+        this.lastDayPhase = null;
+        this.startTimeTracking();
+
+        console.log('🌍 WorldStateManager initialized');
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    createEmptyState() {
+        return {
+            received: false,
+            receivedAt: null,
+            runtimeEntityId: null,
+            uniqueEntityId: null,
+            playerPosition: null,
+            rotation: null,
+            spawnPosition: null,
+            dimension: 'overworld',
+            dimensionChangedAt: null,
+            gameMode: 'unknown',
+            worldGameMode: 'unknown',
+            difficulty: 'unknown',
+            adventureSettings: null,
+            currentTick: null,
+            dayCycleStopTime: null,
+            worldName: null,
+            levelId: null,
+            gameVersion: null,
+            seed: {
+                value: null,
+                hardcore: false,
+                generator: null,
+                achievementsDisabled: false,
+                commandsEnabled: false,
+                movementAuthority: null,
+                serverAuthoritativeInventory: false
+            },
+            gamerules: {},
+            time: {
+                ticks: null,
+                updatedAt: null,
+                source: null
+            },
+            weather: {
+                raining: false,
+                thundering: false,
+                rainLevel: 0,
+                lightningLevel: 0,
+                updatedAt: null
+            }
+        };
+    }
+
+    handleStartGame(packet) {
+        try {
+            const state = this.state;
+
+            state.received = true;
+            state.receivedAt = Date.now();
+            state.runtimeEntityId = packet.runtime_entity_id;
+            state.uniqueEntityId = packet.entity_id;
+            state.playerPosition = this.toVector(packet.player_position);
+            state.rotation = packet.rotation ? { pitch: packet.rotation.x, yaw: packet.rotation.z } : null;
+            state.spawnPosition = this.toVector(packet.spawn_position);
+            state.dimension = this.normalizeDimension(packet.dimension);
+            state.worldGameMode = this.normalizeGameMode(packet.world_gamemode);
+            state.gameMode = this.resolvePlayerGameMode(packet.player_gamemode, state.worldGameMode);
+            state.difficulty = this.normalizeDifficulty(packet.difficulty);
+            state.currentTick = this.toNumber(packet.current_tick);
+            state.dayCycleStopTime = packet.day_cycle_stop_time ?? null;
+            state.worldName = packet.world_name || null;
+            state.levelId = packet.level_id || null;
+            state.gameVersion = packet.game_version || null;
+            state.seed = {
+                value: packet.seed !== undefined ? String(packet.seed) : null,
+                hardcore: !!packet.hardcore,
+                generator: packet.generator ?? null,
+                achievementsDisabled: !!packet.achievements_disabled,
+                commandsEnabled: !!packet.enable_commands,
+                movementAuthority: packet.movement_authority ?? null,
+                serverAuthoritativeInventory: !!packet.server_authoritative_inventory
+            };
+            state.gamerules = this.parseGamerules(packet.gamerules);
+
+            // start_game has no clock; the stop time is the best guess until set_time arrives
+            if (state.dayCycleStopTime !== null) {
+                this.setTime(state.dayCycleStopTime, 'start_game');
+            }
+            this.setWeather({
+                rainLevel: packet.rain_level || 0,
+                lightningLevel: packet.lightning_level || 0
+            }, 'start_game');
+
+            // Core bot fields the rest of the code already reads
+            this.bot.runtimeId = packet.runtime_entity_id;
+            if (state.playerPosition) {
+                this.bot.position = { ...state.playerPosition };
+            }
+
+            console.log(`🌍 World joined: ${state.worldName || 'unknown'} | ${state.dimension} | ${state.gameMode} (${state.difficulty}) | runtime id ${String(state.runtimeEntityId)}`);
+            this.bot.emit('world_state_updated', this.getWorldState());
+        } catch (error) {
+            console.error('❌ Failed to parse start_game packet:', error);
+        }
+    }
+
+    // Sent when we go through a portal, and when we respawn into another dimension
+    handleChangeDimension(packet) {
+        const oldDimension = this.state.dimension;
+        const newDimension = this.normalizeDimension(packet.dimension);
+        const position = this.toVector(packet.position);
+
+        this.state.dimension = newDimension;
+        this.state.dimensionChangedAt = Date.now();
+        if (position) {
+            this.state.playerPosition = position;
+            this.bot.position = { ...position };
+        }
+
+        if (newDimension === oldDimension) return;
+
+        console.log(`🌍 Dimension changed: ${oldDimension} → ${newDimension}${packet.respawn ? ' (respawn)' : ''}`);
+        this.bot.emit('dimension_changed', {
+            old: oldDimension,
+            dimension: newDimension,
+            position,
+            respawn: !!packet.respawn
+        });
+    }
+
+    // The server sends the final spawn point once it is ready for us to respawn
+    handleRespawn(packet) {
+        const position = this.toVector(packet.position);
+        if (packet.state !== 1 || !position) return;
+
+        this.state.playerPosition = position;
+        this.bot.position = { ...position };
+    }
+
+    handleSetTime(packet) {
+        this.setTime(packet.time, 'set_time');
+    }
+
+    handleLevelEvent(packet) {
+        switch (packet.event) {
+            case 'start_rain':
+                this.setWeather({ rainLevel: this.levelFromEventData(packet.data) }, packet.event);
+                break;
+            case 'start_thunder':
+                this.setWeather({ lightningLevel: this.levelFromEventData(packet.data) }, packet.event);
+                break;
+            case 'stop_rain':
+                this.setWeather({ rainLevel: 0, lightningLevel: 0 }, packet.event);
+                break;
+            case 'stop_thunder':
+                this.setWeather({ lightningLevel: 0 }, packet.event);
+                break;
+        }
+    }
+
+    // Weather level events carry the intensity scaled to 0-65535
+    levelFromEventData(data) {
+        if (!data) return 1;
+        return Math.min(1, data / 65535);
+    }
+
+    setTime(ticks, source) {
+        this.state.time = {
+            ticks: this.toNumber(ticks),
+            updatedAt: Date.now(),
+            source
+        };
+        this.checkDayPhase();
+    }
+
+    setWeather(levels, source) {
+        const old = this.getWeather();
+        const weather = this.state.weather;
+
+        if (levels.rainLevel !== undefined) weather.rainLevel = levels.rainLevel;
+        if (levels.lightningLevel !== undefined) weather.lightningLevel = levels.lightningLevel;
+        weather.raining = weather.rainLevel > 0;
+        weather.thundering = weather.lightningLevel > 0;
+        weather.updatedAt = Date.now();
+
+        if (old.raining !== weather.raining || old.thundering !== weather.thundering) {
+            console.log(`🌦️ Weather: ${this.describeWeather(old)} → ${this.describeWeather(weather)} (${source})`);
+            this.bot.emit('weather_changed', { old, weather: this.getWeather(), source });
+        }
+    }
+
+    getCurrentTicks() {
+        const time = this.state.time;
+        if (time.ticks === null) return null;
+
+        // Frozen clock when the daylight cycle gamerule is off
+        if (this.state.gamerules.dodaylightcycle === false) return time.ticks;
+
+        return time.ticks + Math.floor((Date.now() - time.updatedAt) / MS_PER_TICK);
+    }
+
+    getTimeInfo() {
+        const ticks = this.getCurrentTicks();
+        if (ticks === null) return null;
+
+        const day = ((ticks % TICKS_PER_DAY) + TICKS_PER_DAY) % TICKS_PER_DAY;
+        const phase = this.getDayPhase(day);
+        const totalMinutes = Math.floor(((day / 1000) + 6) * 60) % (24 * 60);
+
+        return {
+            age: ticks,
+            day,
+            dayCount: Math.floor(ticks / TICKS_PER_DAY),
+            phase,
+            isDay: phase === 'day',
+            isNight: phase === 'night',
+            clock: `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`
+        };
+    }
+
+    getDayPhase(day) {
+        let phase = DAY_PHASES[0].name;
+        DAY_PHASES.forEach(p => {
+            if (day >= p.start) phase = p.name;
+        });
+        return phase;
+    }
+
+    getWeather() {
+        const { raining, thundering, rainLevel, lightningLevel } = this.state.weather;
+        return { raining, thundering, rainLevel, lightningLevel };
+    }
+
+    describeWeather(weather) {
+        if (weather.thundering) return 'thunderstorm';
+        return weather.raining ? 'rain' : 'clear';
+    }
+
+    startTimeTracking() {
+        this.timeTrackingInterval = setInterval(() => {
+            this.checkDayPhase();
+        }, 5000);
+    }
+
+    checkDayPhase() {
+        const time = this.getTimeInfo();
+        if (!time || time.phase === this.lastDayPhase) return;
+
+        const oldPhase = this.lastDayPhase;
+        this.lastDayPhase = time.phase;
+
+        // The first reading after joining is not a change
+        if (oldPhase === null) return;
+
+        console.log(`🕐 ${oldPhase} → ${time.phase} (${time.clock})`);
+        this.bot.emit('day_phase_changed', { old: oldPhase, phase: time.phase, time });
+    }
+
+    handleSetPlayerGameType(packet) {
+        this.setGameMode(this.resolvePlayerGameMode(packet.gamemode, this.state.worldGameMode), 'set_player_game_type');
+    }
+
+    // Sent for every player - only ours matters here
+    handleUpdatePlayerGameType(packet) {
+        if (this.state.uniqueEntityId === null || String(packet.player_unique_id) !== String(this.state.uniqueEntityId)) {
+            return;
+        }
+        this.setGameMode(this.resolvePlayerGameMode(packet.gamemode, this.state.worldGameMode), 'update_player_game_type');
+    }
+
+    handleSetDifficulty(packet) {
+        const oldDifficulty = this.state.difficulty;
+        const newDifficulty = this.normalizeDifficulty(packet.difficulty);
+        if (newDifficulty === oldDifficulty) return;
+
+        this.state.difficulty = newDifficulty;
+        console.log(`🌍 Difficulty changed: ${oldDifficulty} → ${newDifficulty}`);
+        this.bot.emit('difficulty_changed', { old: oldDifficulty, difficulty: newDifficulty, source: 'set_difficulty' });
+    }
+
+    handleUpdateAdventureSettings(packet) {
+        this.state.adventureSettings = {
+            noPvm: !!packet.no_pvm,
+            noMvp: !!packet.no_mvp,
+            immutableWorld: !!packet.immutable_world,
+            showNameTags: !!packet.show_name_tags,
+            autoJump: !!packet.auto_jump
+        };
+        this.bot.emit('adventure_settings_updated', { ...this.state.adventureSettings });
+    }
+
+    setGameMode(newGameMode, source) {
+        const oldGameMode = this.state.gameMode;
+        if (newGameMode === oldGameMode) return;
+
+        this.state.gameMode = newGameMode;
+        console.log(`🌍 Game mode changed: ${oldGameMode} → ${newGameMode} (${source})`);
+        this.bot.emit('game_mode_changed', { old: oldGameMode, gameMode: newGameMode, source });
+    }
+
+    // GameMode 5 means "fall back to the world game mode"
+    resolvePlayerGameMode(playerGameMode, worldGameMode) {
+        const mode = this.normalizeGameMode(playerGameMode);
+        return mode === 'fallback' ? worldGameMode : mode;
+    }
+
+    normalizeGameMode(mode) {
+        if (typeof mode === 'string') return mode;
+        const names = ['survival', 'creative', 'adventure', 'survival_spectator', 'creative_spectator', 'fallback', 'spectator'];
+        return names[mode] || 'unknown';
+    }
+
+    normalizeDimension(dimension) {
+        if (typeof dimension === 'string') return dimension;
+        return DIMENSION_NAMES[dimension] || 'overworld';
+    }
+
+    getDimension() {
+        return this.state.dimension;
+    }
+
+    normalizeDifficulty(difficulty) {
+        if (typeof difficulty === 'string') return difficulty;
+        return DIFFICULTY_NAMES[difficulty] || 'unknown';
+    }
+
+    parseGamerules(gamerules) {
+        const rules = {};
+        if (!Array.isArray(gamerules)) return rules;
+
+        gamerules.forEach(rule => {
+            if (rule && rule.name) {
+                rules[rule.name] = rule.value;
+            }
+        });
+
+        return rules;
+    }
+
+    toVector(vector) {
+        if (!vector) return null;
+        return { x: Number(vector.x), y: Number(vector.y), z: Number(vector.z) };
+    }
+
+    toNumber(value) {
+        if (value === undefined || value === null) return null;
+        return typeof value === 'bigint' ? Number(value) : value;
+    }
+
+    // JSON-safe snapshot (runtime ids and seeds are BigInt on the wire)
+    getWorldState() {
+        return JSON.parse(JSON.stringify(this.state, (key, value) =>
+            typeof value === 'bigint' ? value.toString() : value
+        ));
+    }
+
+    getSpawnPosition() {
+        return this.state.spawnPosition || this.state.playerPosition || null;
+    }
+}
+
+module.exports = WorldStateManager;
@@ -0,0 +1,306 @@
+// Operator dashboard - polls /status and drives the mission and config APIs
+(function () {
+    'use strict';
+
+    const REFRESH_INTERVAL = 2000;
+    const KEY_STORAGE = 'dragonbot-api-key';
+
+    const $ = (id) => document.getElementById(id);
+    let apiKey = sessionStorage.getItem(KEY_STORAGE) || '';
+    let configLoaded = false;
+
+    // API helpers
+    async function api(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+        const response = await fetch(path, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `${response.status} ${response.statusText}`);
+        }
+        return data;
+    }
+
+    function showMessage(text, isError = false) {
+        const message = $('message');
+        message.textContent = text;
+        message.className = isError ? 'message error' : 'message';
+        message.hidden = false;
+        clearTimeout(showMessage.timer);
+        showMessage.timer = setTimeout(() => { message.hidden = true; }, 5000);
+    }
+
+    // Rendering
+    function setText(id, value) {
+        $(id).textContent = value === null || value === undefined || value === '' ? '-' : value;
+    }
+
+    function formatPosition(position) {
+        if (!position) return null;
+        return `${Math.round(position.x)}, ${Math.round(position.y)}, ${Math.round(position.z)}`;
+    }
+
+    function formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString();
+    }
+
+    function formatDuration(seconds) {
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        return h > 0 ? `${h}h ${m}m` : `${m}m ${seconds % 60}s`;
+    }
+
+    function setBar(id, value, max) {
+        const percent = max > 0 ? Math.max(0, Math.min(100, (value / max) * 100)) : 0;
+        $(id).style.width = `${percent}%`;
+    }
+
+    function renderList(id, items, renderItem) {
+        const list = $(id);
+        const wasAtBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+        list.replaceChildren(...items.map(renderItem));
+        if (wasAtBottom) list.scrollTop = list.scrollHeight;
+    }
+
+    function logItem(time, text, className) {
+        const item = document.createElement('li');
+        const when = document.createElement('span');
+        when.className = 'when';
+        when.textContent = time;
+        const body = document.createElement('span');
+        body.textContent = text;
+        if (className) body.className = className;
+        item.append(when, body);
+        return item;
+    }
+
+    function render(status) {
+        const connection = $('connection');
+        connection.textContent = status.connected ? 'online' : 'offline';
+        connection.className = `badge ${status.connected ? 'online' : 'offline'}`;
+
+        setText('bot-name', status.username);
+        setText('dimension', status.world?.dimension);
+        setText('position', formatPosition(status.position));
+        setText('time', status.time ? `${status.time.clock} (${status.time.phase})` : null);
+        setText('uptime', formatDuration(status.uptime || 0));
+
+        const maxHealth = status.maxHealth || 20;
+        setText('health-text', `${Math.round(status.health ?? 0)}/${maxHealth}`);
+        setBar('health-bar', status.health ?? 0, maxHealth);
+        setText('food-text', `${Math.round(status.food ?? 0)}/20`);
+        setBar('food-bar', status.food ?? 0, 20);
+
+        const mission = status.mission || {};
+        setText('mission-state', mission.missionState);
+        setText('mission-phase', mission.pendingPhase ? `${mission.currentPhase} (next: ${mission.pendingPhase})` : mission.currentPhase);
+        setText('mission-goal', mission.currentGoal);
+        renderList('progress-log', mission.recentProgress || [], entry =>
+            logItem(formatTime(entry.timestamp), entry.message));
+
+        const combat = status.combat || {};
+        setText('in-combat', combat.inCombat ? 'yes' : 'no');
+        setText('threat-level', combat.threatLevel);
+        setText('combat-target', combat.currentTarget
+            ? `${combat.currentTarget.type}${combat.currentTarget.distance ? ` (${Math.round(combat.currentTarget.distance)}m)` : ''}`
+            : null);
+        setText('combat-strategy', combat.currentStrategy?.approach || combat.currentStrategy?.name || null);
+        if (combat.stats) {
+            setText('combat-record', `${combat.stats.wins}W / ${combat.stats.losses}L / ${combat.stats.escapes} escapes`);
+        }
+
+        renderList('chat-log', status.chat || [], entry => {
+            const speaker = entry.private ? `${entry.player}${entry.to ? ` -> ${entry.to}` : ''} (whisper)` : entry.player;
+            return logItem(formatTime(entry.timestamp), `<${speaker}> ${entry.message}`, entry.outgoing ? 'outgoing' : null);
+        });
+
+        drawMap(status);
+    }
+
+    // Top-down map: x grows east (right), z grows south (down)
+    function drawMap(status) {
+        const canvas = $('map');
+        const ctx = canvas.getContext('2d');
+        const points = [];
+        const dimension = status.world?.dimension || 'overworld';
+
+        if (status.position) points.push({ ...status.position, kind: 'bot', label: status.username || 'bot' });
+        (status.players || []).forEach(player => {
+            if (player.position) points.push({ ...player.position, kind: 'player', label: player.name || player.username });
+        });
+
+        const locations = status.knownLocations || {};
+        // Dragon perch and End spawn only make sense while we're in the End
+        const candidates = dimension === 'end'
+            ? { endDimension: locations.endDimension, dragonPerch: locations.dragonPerch }
+            : { stronghold: locations.stronghold, endPortal: locations.endPortal };
+        Object.entries(candidates).forEach(([name, position]) => {
+            if (position) points.push({ ...position, kind: 'location', label: name });
+        });
+        if (dimension === 'end') {
+            (locations.endCrystals || []).forEach((position, index) => {
+                points.push({ ...position, kind: 'location', label: `crystal ${index + 1}` });
+            });
+        }
+
+        const target = status.navigation?.target;
+        if (target && typeof target.x === 'number') {
+            points.push({ ...target, kind: 'target', label: target.type || 'target' });
+        }
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (points.length === 0) {
+            ctx.fillStyle = '#9a93b3';
+            ctx.fillText('No position data yet', 20, 30);
+            return;
+        }
+
+        const xs = points.map(p => p.x);
+        const zs = points.map(p => p.z);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minZ = Math.min(...zs);
+        const maxZ = Math.max(...zs);
+        const span = Math.max(maxX - minX, maxZ - minZ, 32);
+        const padding = 40;
+        const scale = Math.min(canvas.width - padding * 2, canvas.height - padding * 2) / span;
+        const centerX = (minX + maxX) / 2;
+        const centerZ = (minZ + maxZ) / 2;
+        const toCanvas = (p) => ({
+            x: canvas.width / 2 + (p.x - centerX) * scale,
+            y: canvas.height / 2 + (p.z - centerZ) * scale
+        });
+
+        drawGrid(ctx, canvas, span, scale, centerX, centerZ);
+
+        const colors = { bot: '#b77dff', player: '#4ea8ff', location: '#e0a84e', target: '#5fd38d' };
+        ctx.font = '12px system-ui, sans-serif';
+        points.forEach(point => {
+            const { x, y } = toCanvas(point);
+            ctx.fillStyle = colors[point.kind];
+            ctx.beginPath();
+            ctx.arc(x, y, point.kind === 'bot' ? 7 : 5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#e8e4f3';
+            ctx.fillText(point.label, x + 9, y + 4);
+        });
+    }
+
+    function drawGrid(ctx, canvas, span, scale, centerX, centerZ) {
+        // Pick a grid step that gives roughly 5-10 lines across
+        const step = Math.pow(10, Math.floor(Math.log10(span / 4)));
+        ctx.strokeStyle = '#2a2540';
+        ctx.fillStyle = '#5d5677';
+        ctx.lineWidth = 1;
+        ctx.font = '10px system-ui, sans-serif';
+
+        const left = centerX - canvas.width / 2 / scale;
+        const top = centerZ - canvas.height / 2 / scale;
+        for (let x = Math.ceil(left / step) * step; x < left + canvas.width / scale; x += step) {
+            const cx = (x - left) * scale;
+            ctx.beginPath();
+            ctx.moveTo(cx, 0);
+            ctx.lineTo(cx, canvas.height);
+            ctx.stroke();
+            ctx.fillText(String(Math.round(x)), cx + 2, canvas.height - 4);
+        }
+        for (let z = Math.ceil(top / step) * step; z < top + canvas.height / scale; z += step) {
+            const cy = (z - top) * scale;
+            ctx.beginPath();
+            ctx.moveTo(0, cy);
+            ctx.lineTo(canvas.width, cy);
+            ctx.stroke();
+            ctx.fillText(String(Math.round(z)), 2, cy - 2);
+        }
+    }
+
+    // Data loading
+    async function refresh() {
+        try {
+            const status = await api('GET', '/status');
+            if (status.error) {
+                showMessage(status.error, true);
+                return;
+            }
+            render(status);
+            if (!configLoaded) await loadConfig();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    }
+
+    async function loadConfig() {
+        const config = await api('GET', '/config');
+        const form = $('config-form');
+        Array.from(form.elements).forEach(input => {
+            if (!input.name || !(input.name in config)) return;
+            if (input.type === 'checkbox') {
+                input.checked = !!config[input.name];
+            } else {
+                input.value = config[input.name];
+            }
+        });
+        configLoaded = true;
+    }
+
+    // Controls
+    document.querySelectorAll('[data-mission]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const action = button.dataset.mission;
+            if ((action === 'abort' || action === 'reset') && !confirm(`Really ${action} the mission?`)) return;
+            try {
+                const status = await api('POST', `/mission/${action}`);
+                showMessage(`Mission ${action}: now ${status.missionState} (${status.currentPhase})`);
+                refresh();
+            } catch (error) {
+                showMessage(error.message, true);
+            }
+        });
+    });
+
+    $('skip-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const phase = $('skip-phase').value;
+        try {
+            const status = await api('POST', `/mission/skip-to/${encodeURIComponent(phase)}`);
+            showMessage(`Skipped to ${status.currentPhase}`);
+            refresh();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    });
+
+    $('config-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const updates = {};
+        Array.from(event.target.elements).forEach(input => {
+            if (!input.name) return;
+            if (input.type === 'checkbox') updates[input.name] = input.checked;
+            else if (input.type === 'number') updates[input.name] = Number(input.value);
+            else updates[input.name] = input.value;
+        });
+        try {
+            await api('POST', '/config', updates);
+            showMessage('Configuration saved');
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    });
+
+    $('auth-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        apiKey = $('api-key').value.trim();
+        sessionStorage.setItem(KEY_STORAGE, apiKey);
+        $('api-key').value = '';
+        configLoaded = false;
+        refresh();
+    });
+
+    refresh();
+    setInterval(refresh, REFRESH_INTERVAL);
+})();
@@ -0,0 +1,134 @@
+// test/ActionManager.test.js - Movement jobs against a stubbed bot (no server)
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+
+const ActionManager = require('../modules/ActionManager');
+const NavigationManager = require('../modules/NavigationManager');
+const { silenceLogs, waitFor } = require('./helpers');
+
+silenceLogs();
+
+// move_player packets land immediately, and the 500ms navigation delay is shortened
+function createBot() {
+    const bot = new EventEmitter();
+    bot.config = {};
+    bot.connected = true;
+    bot.runtimeId = 1n;
+    bot.position = { x: 0, y: 64, z: 0 };
+    bot.players = new Map();
+    bot.entities = new Map();
+    bot.moves = [];
+    bot.delay = (ms) => new Promise(resolve => setTimeout(resolve, Math.min(ms, 10)));
+    bot.client = {
+        write: (name, params) => {
+            if (name !== 'move_player') return;
+            bot.moves.push(params.position);
+            bot.position = { ...params.position };
+            bot.emit('position_update', bot.position);
+        }
+    };
+
+    const navigation = new NavigationManager(bot);
+    const actions = new ActionManager(bot);
+    navigation.startPositionTracking();
+    clearInterval(navigation.stuckCheckInterval);
+    actions.setManagers({ navigation });
+    return { bot, navigation, actions };
+}
+
+test('a goto replacing another goto is the only one that moves the bot', async () => {
+    const { bot, navigation, actions } = createBot();
+
+    const first = actions.goto({ x: 100, y: 64, z: 0, timeout: 5000 });
+    await waitFor(() => bot.moves.length >= 3);
+
+    const second = actions.goto({ x: -100, y: 64, z: 0, timeout: 5000 });
+    assert.strictEqual(actions.getJob(first.id).status, 'cancelled');
+
+    // Give the first loop time to wake from its delay - it must not send another step
+    const startX = bot.position.x;
+    const movesBefore = bot.moves.length;
+    await waitFor(() => bot.moves.length >= movesBefore + 10);
+
+    const steps = bot.moves.slice(movesBefore);
+    steps.reduce((previousX, step) => {
+        assert.ok(step.x < previousX, `step to x=${step.x} moved away from the second target`);
+        return step.x;
+    }, startX);
+
+    // The first run's cleanup must not have stopped the second
+    assert.strictEqual(navigation.isNavigating, true);
+    assert.deepStrictEqual(navigation.currentTarget, { x: -100, y: 64, z: 0 });
+    assert.strictEqual(actions.getJob(second.id).status, 'running');
+
+    actions.cancelJob(second.id);
+    await waitFor(() => !navigation.isNavigating);
+    const stoppedAt = bot.moves.length;
+    await bot.delay(50);
+    assert.strictEqual(bot.moves.length, stoppedAt);
+});
+
+test('a goto replacing a follow stops the follow loop', async () => {
+    const { bot, navigation, actions } = createBot();
+    const player = { name: 'Steve', runtimeId: '2', position: { x: 50, y: 64, z: 0 } };
+    bot.players.set(player.runtimeId, player);
+    actions.setManagers({ navigation, players: { findPlayerByName: () => player } });
+
+    const follow = actions.follow('Steve');
+    await waitFor(() => bot.moves.length >= 3);
+
+    const goto = actions.goto({ x: -100, y: 64, z: 0, timeout: 5000 });
+    assert.strictEqual(actions.getJob(follow.id).status, 'cancelled');
+    assert.strictEqual(navigation.followingPlayer, null);
+
+    const startX = bot.position.x;
+    const movesBefore = bot.moves.length;
+    await waitFor(() => bot.moves.length >= movesBefore + 10);
+    assert.ok(bot.moves.slice(movesBefore).every(step => step.x < startX));
+    assert.strictEqual(actions.getJob(goto.id).status, 'running');
+
+    actions.stop();
+    await waitFor(() => actions.getJob(goto.id).status === 'cancelled' && !navigation.isNavigating);
+});
+
+// Just enough of CombatManager for runAttack
+function createCombat(bot, engageTarget) {
+    const combat = new EventEmitter();
+    combat.config = { maxCombatRange: 16 };
+    combat.inCombat = false;
+    combat.paused = false;
+    combat.currentTarget = null;
+    combat.calculateDistance = () => 4;
+    combat.calculateEntityThreat = () => 1;
+    combat.engageTarget = engageTarget;
+    combat.endCombat = async () => { throw new Error('combat state lost'); };
+    bot.entities.set('7', { type: 'zombie', position: { x: 4, y: 64, z: 0 } });
+    return combat;
+}
+
+test('an attack that fails to engage leaves no combat_end listener behind', async () => {
+    const { bot, navigation, actions } = createBot();
+    const combat = createCombat(bot, async () => { throw new Error('target out of reach'); });
+    actions.setManagers({ navigation, combat });
+
+    const job = actions.attack('7');
+    await waitFor(() => actions.getJob(job.id).status === 'failed');
+    assert.strictEqual(combat.listenerCount('combat_end'), 0);
+});
+
+test('cancelling an attack survives endCombat rejecting', async (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const { bot, navigation, actions } = createBot();
+    const combat = createCombat(bot, async (target) => { combat.currentTarget = target; });
+    actions.setManagers({ navigation, combat });
+
+    const job = actions.attack('7');
+    await waitFor(() => combat.currentTarget !== null);
+    actions.cancelJob(job.id);
+
+    // An unhandled rejection here would fail the whole test file
+    await waitFor(() => logged.mock.callCount() > 0);
+    assert.strictEqual(actions.getJob(job.id).status, 'cancelled');
+    assert.match(logged.mock.calls[0].arguments[1].message, /combat state lost/);
+});
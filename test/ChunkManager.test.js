@@ -0,0 +1,58 @@
+// test/ChunkManager.test.js - Rebuilds the world model from a recorded packet file
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const EventEmitter = require('events');
+
+const ChunkManager = require('../modules/ChunkManager');
+const { silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+// Chunk 0,0 with a stone floor at y=60, two diamond ores and a water block on y=61,
+// sent the 1.18+ way (biomes in level_chunk, blocks in a subchunk), then an obsidian update_block
+const RECORDING = path.join(__dirname, 'fixtures', 'chunk-recording.jsonl');
+
+function createChunkManager() {
+    const bot = new EventEmitter();
+    bot.config = { version: '1.20.0' };
+    bot.position = { x: 8, y: 62, z: 8 };
+    return new ChunkManager(bot);
+}
+
+test('loads a recorded chunk and answers block queries', async () => {
+    const chunks = createChunkManager();
+    const status = await chunks.loadFromFile(RECORDING);
+
+    assert.strictEqual(status.columns, 1);
+    assert.strictEqual(status.stats.subChunksLoaded, 1);
+    assert.strictEqual(status.stats.blockUpdates, 1);
+    assert.strictEqual(status.stats.decodeErrors, 0);
+
+    const floor = chunks.getBlock({ x: 10, y: 60, z: 2 });
+    assert.strictEqual(floor.name, 'stone');
+    assert.strictEqual(floor.solid, true);
+
+    assert.strictEqual(chunks.getBlock({ x: 10, y: 61, z: 2 }).name, 'air');
+    assert.strictEqual(chunks.getBlock({ x: 5, y: 61, z: 5 }).name, 'obsidian');
+    assert.strictEqual(chunks.isLiquid({ x: 8, y: 61, z: 8 }), true);
+
+    // Outside the recording is unknown, not air
+    assert.strictEqual(chunks.getBlock({ x: 20, y: 60, z: 2 }), null);
+});
+
+test('finds recorded blocks nearest first', async () => {
+    const chunks = createChunkManager();
+    await chunks.loadFromFile(RECORDING);
+
+    const ores = chunks.findBlocks({ matching: 'minecraft:diamond_ore', maxDistance: 16, count: 5 });
+    assert.deepStrictEqual(ores.map(block => block.position), [
+        { x: 12, y: 61, z: 12 },
+        { x: 3, y: 61, z: 4 }
+    ]);
+
+    const nearest = chunks.findBlocks({ matching: ['diamond_ore', 'obsidian'], point: { x: 5, y: 61, z: 5 } });
+    assert.strictEqual(nearest.length, 1);
+    assert.strictEqual(nearest[0].name, 'obsidian');
+    assert.strictEqual(nearest[0].distance, 0);
+});
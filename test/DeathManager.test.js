@@ -0,0 +1,88 @@
+// test/DeathManager.test.js - Death detection from chat packets against a stubbed bot
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+
+const DeathManager = require('../modules/DeathManager');
+const { silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+function createDeathManager() {
+    const bot = new EventEmitter();
+    bot.config = { username: 'DragonSlayerBot' };
+    bot.connected = true;
+    bot.runtimeId = 1n;
+    bot.position = { x: 10, y: 64, z: -5 };
+    bot.writes = [];
+    bot.client = { write: (name, params) => bot.writes.push({ name, params }) };
+
+    const deaths = new DeathManager(bot);
+    deaths.causeWaitTime = 10;
+    bot.config.respawnDelay = 10;
+    return { bot, deaths };
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function clearTimers(deaths) {
+    clearTimeout(deaths.finalizeTimer);
+    clearTimeout(deaths.respawnTimer);
+}
+
+test('ignores a player chat line that reads like a death message', async () => {
+    const { bot, deaths } = createDeathManager();
+    const died = [];
+    bot.on('bot_died', death => died.push(death));
+
+    const spoofed = [
+        { type: 'chat', source_name: 'Griefer', message: 'DragonSlayerBot was slain lol' },
+        { type: 'whisper', source_name: 'Griefer', message: 'DragonSlayerBot fell from a high place' },
+        { type: 'announcement', source_name: 'Griefer', message: 'DragonSlayerBot drowned' },
+        // A player can't forge a server packet by naming one
+        { type: 'raw', source_name: 'Griefer', message: 'DragonSlayerBot was slain by Zombie' }
+    ];
+    for (const packet of spoofed) {
+        assert.strictEqual(deaths.handleChatPacket(packet), false);
+    }
+
+    await delay(50);
+    assert.strictEqual(deaths.dead, false);
+    assert.strictEqual(deaths.currentDeath, null);
+    assert.deepStrictEqual(died, []);
+    assert.deepStrictEqual(bot.writes, []);
+});
+
+test('detects a translated server death message and respawns', async () => {
+    const { bot, deaths } = createDeathManager();
+    const died = new Promise(resolve => bot.once('bot_died', resolve));
+
+    const handled = deaths.handleChatPacket({
+        type: 'translation',
+        message: 'death.attack.mob',
+        parameters: ['DragonSlayerBot', '%entity.zombie.name']
+    });
+    assert.strictEqual(handled, true);
+    assert.strictEqual(deaths.dead, true);
+
+    const death = await died;
+    assert.strictEqual(death.cause, 'mob');
+    assert.strictEqual(death.killer, 'zombie');
+    assert.strictEqual(death.detectedBy, 'death_message');
+
+    await delay(30);
+    assert.ok(bot.writes.some(write => write.name === 'respawn'));
+    clearTimers(deaths);
+});
+
+test('a player chat line does not overwrite the cause of a real death', () => {
+    const { deaths } = createDeathManager();
+
+    deaths.handleHealthUpdate(0);
+    deaths.handleChatPacket({ type: 'raw', message: 'DragonSlayerBot tried to swim in lava' });
+    deaths.handleChatPacket({ type: 'chat', source_name: 'Griefer', message: 'DragonSlayerBot was slain by Griefer' });
+
+    assert.strictEqual(deaths.currentDeath.cause, 'tried to swim in lava');
+    assert.strictEqual(deaths.currentDeath.killer, null);
+    clearTimers(deaths);
+});
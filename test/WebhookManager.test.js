@@ -0,0 +1,138 @@
+// test/WebhookManager.test.js - Webhook delivery against a local HTTP receiver
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const WebhookManager = require('../modules/WebhookManager');
+const { silenceLogs, waitFor } = require('./helpers');
+
+silenceLogs('log', 'warn');
+
+const SECRET = 'test-secret';
+
+// Answers each request with the next status in `statuses` (the last one repeats)
+async function startReceiver(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        setStatuses: (next) => { statuses = next; },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+async function createManager(url, outboxPath, overrides = {}) {
+    const manager = new WebhookManager({
+        config: {
+            username: 'TestBot',
+            webhookUrl: url,
+            webhookSecret: SECRET,
+            webhookTimeout: 2000,
+            webhookMaxAttempts: 3,
+            webhookRetryBaseDelay: 20,
+            webhookOutboxPath: outboxPath,
+            ...overrides
+        }
+    });
+    await manager.ready;
+    return manager;
+}
+
+async function tempOutboxPath(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhook-test-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return path.join(dir, 'outbox.json');
+}
+
+test('signs the body with HMAC-SHA256 over "<timestamp>.<body>"', async (t) => {
+    const receiver = await startReceiver([200]);
+    t.after(() => receiver.close());
+    const manager = await createManager(receiver.url, await tempOutboxPath(t));
+
+    const id = await manager.notify('mission_completed', { phase: 'dragon_fight' });
+    await waitFor(() => manager.lastDelivery?.id === id);
+
+    const [request] = receiver.requests;
+    const expected = crypto.createHmac('sha256', SECRET)
+        .update(`${request.headers['x-webhook-timestamp']}.${request.body}`)
+        .digest('hex');
+    assert.strictEqual(request.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.strictEqual(request.headers['x-webhook-id'], id);
+    assert.strictEqual(request.headers['x-webhook-event'], 'mission_completed');
+
+    const payload = JSON.parse(request.body);
+    assert.strictEqual(payload.id, id);
+    assert.strictEqual(payload.bot, 'TestBot');
+    assert.deepStrictEqual(payload.data, { phase: 'dragon_fight' });
+});
+
+test('retries after a 500 and delivers on the next attempt', async (t) => {
+    const receiver = await startReceiver([500, 200]);
+    t.after(() => receiver.close());
+    const manager = await createManager(receiver.url, await tempOutboxPath(t));
+
+    const id = await manager.notify('bot_died', { cause: 'lava' });
+    await waitFor(() => manager.lastDelivery?.id === id);
+
+    assert.strictEqual(receiver.requests.length, 2);
+    assert.deepStrictEqual(receiver.requests.map(request => request.headers['x-webhook-attempt']), ['1', '2']);
+    assert.strictEqual(receiver.requests[0].body, receiver.requests[1].body);
+    assert.strictEqual(manager.outbox.length, 0);
+    assert.strictEqual(manager.deadLetters.length, 0);
+});
+
+test('dead-letters a notification the receiver rejects with a 4xx', async (t) => {
+    const receiver = await startReceiver([400]);
+    t.after(() => receiver.close());
+    const manager = await createManager(receiver.url, await tempOutboxPath(t));
+
+    const id = await manager.notify('mission_failed', {});
+    await waitFor(() => manager.deadLetters.length === 1);
+    await manager.saveQueue;
+
+    assert.strictEqual(receiver.requests.length, 1);
+    assert.strictEqual(manager.outbox.length, 0);
+    assert.strictEqual(manager.deadLetters[0].id, id);
+    assert.strictEqual(manager.deadLetters[0].lastError, 'HTTP 400');
+});
+
+test('reloads undelivered notifications from the outbox after a restart', async (t) => {
+    const receiver = await startReceiver([503]);
+    t.after(() => receiver.close());
+    const outboxPath = await tempOutboxPath(t);
+
+    // Fails once, then the process "exits" before its retry is due
+    const before = await createManager(receiver.url, outboxPath, { webhookRetryBaseDelay: 200 });
+    const id = await before.notify('disconnected', { reason: 'server closed' });
+    await waitFor(() => before.outbox[0]?.attempts === 1 && !before.delivering);
+    await before.saveQueue;
+    clearTimeout(before.retryTimer);
+
+    const saved = JSON.parse(await fs.readFile(outboxPath, 'utf8'));
+    assert.deepStrictEqual(saved.pending.map(entry => entry.id), [id]);
+
+    // The reloaded entry keeps its backoff schedule
+    receiver.setStatuses([200]);
+    const after = await createManager(receiver.url, outboxPath);
+    await waitFor(() => after.lastDelivery?.id === id);
+    await after.saveQueue;
+
+    assert.strictEqual(receiver.requests.length, 2);
+    assert.strictEqual(JSON.parse(receiver.requests[1].body).id, id);
+    const remaining = JSON.parse(await fs.readFile(outboxPath, 'utf8'));
+    assert.deepStrictEqual(remaining.pending, []);
+});
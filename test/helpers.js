@@ -0,0 +1,25 @@
+// test/helpers.js - Shared setup for the manager tests
+const { mock } = require('node:test');
+
+// Managers log every step (with emoji) - silence them so the runner's own output stays readable
+function silenceLogs(...methods) {
+    (methods.length > 0 ? methods : ['log']).forEach(method => mock.method(console, method, () => {}));
+}
+
+// Polls until predicate() is true; rejects after timeout ms
+function waitFor(predicate, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (predicate()) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() - started > timeout) {
+                clearInterval(timer);
+                reject(new Error('Timed out waiting for condition'));
+            }
+        }, 5);
+    });
+}
+
+module.exports = { silenceLogs, waitFor };